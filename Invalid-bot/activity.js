@@ -0,0 +1,228 @@
+import { EmbedBuilder, TimestampStyles, time } from "discord.js";
+import {
+  getExemption,
+  getGuildHistory,
+  lastReports,
+  recordGuildSnapshot,
+  setLastReport,
+} from "./activityStorage.js";
+import {
+  describeApiError,
+  getHypixelGuildByName,
+  getUsernameFromUUID,
+} from "./api.js";
+import {
+  getConfiguredChannel,
+  getConfiguredNumber,
+  getConfiguredValue,
+} from "./guildConfig.js";
+import { findArchivedLinkByUuid, findLinkByUuid } from "./storage.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How often the bot checks whether a snapshot or report is due, and how often
+// each server gets its report
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const REPORT_INTERVAL_MS = 7 * DAY_MS;
+
+// Function to format a timestamp as a YYYY-MM-DD date in US Eastern time, the
+// day boundary Hypixel uses for expHistory keys
+function toDateKey(timestamp) {
+  return new Date(timestamp).toLocaleDateString("en-CA", {
+    timeZone: "America/New_York",
+  });
+}
+
+// Function to get the seven dates of the week ending on a date
+// This is plain calendar arithmetic, so it is done in UTC where days never shift
+function getWeekDates(endDate) {
+  const end = Date.parse(`${endDate}T00:00:00Z`);
+  return Array.from({ length: 7 }, (_, index) =>
+    new Date(end - index * DAY_MS).toISOString().slice(0, 10),
+  );
+}
+
+// Function to fetch every member of a Discord guild, falling back to the cache
+async function fetchMembers(guild) {
+  try {
+    return await guild.members.fetch();
+  } catch (error) {
+    console.error(`Failed to fetch members of ${guild.name}:`, error);
+    return guild.members.cache;
+  }
+}
+
+// Function to look up a Minecraft name for a report line
+async function getMemberName(uuid, record) {
+  if (record?.minecraftName) return record.minecraftName;
+  return getUsernameFromUUID(uuid).catch(() => `${uuid.slice(0, 8)}…`);
+}
+
+// Function to take today's GEXP snapshot of a Discord server's Hypixel guild
+// Returns { hypixelGuild, history }, or { error } if the guild can't be fetched
+export async function takeGuildSnapshot(guild) {
+  const hypixelGuildName = getConfiguredValue(guild, "hypixelGuild");
+
+  try {
+    const hypixelGuild = await getHypixelGuildByName(hypixelGuildName);
+    const history = recordGuildSnapshot(hypixelGuild, toDateKey(Date.now()));
+    return { hypixelGuild, history };
+  } catch (error) {
+    return {
+      error: describeApiError(
+        error,
+        `The Hypixel guild "${hypixelGuildName}" does not exist.`,
+      ),
+    };
+  }
+}
+
+// Function to sort a Hypixel guild's current members for the weekly report
+// Members are "new" during the grace period after joining, "excused" while they
+// hold an /inactive exemption, and "inactive" when under the GEXP requirement.
+// Linked members who are no longer in the Discord server are also listed
+export async function buildActivityReport(guild, hypixelGuild, history) {
+  const requirement = getConfiguredNumber(guild, "gexpRequirement");
+  const graceDays = getConfiguredNumber(guild, "gexpGraceDays");
+  const weekDates = getWeekDates(history.snapshotDate);
+  const members = await fetchMembers(guild);
+
+  const report = {
+    hypixelGuild: hypixelGuild.name,
+    requirement,
+    graceDays,
+    checked: 0,
+    inactive: [],
+    newMembers: [],
+    excused: [],
+    leftDiscord: [],
+  };
+
+  for (const { uuid } of hypixelGuild.members) {
+    const stored = history.members[uuid];
+    if (!stored) continue;
+
+    report.checked++;
+    // Members who left the Discord server have their link archived
+    const record = findLinkByUuid(uuid) || findArchivedLinkByUuid(uuid);
+    const weeklyExp = weekDates.reduce((sum, date) => sum + (stored.exp[date] || 0), 0);
+    const entry = {
+      uuid,
+      name: await getMemberName(uuid, record),
+      discordId: record?.discordId || null,
+      weeklyExp,
+      joined: stored.joined,
+    };
+
+    if (record && !members.has(record.discordId)) {
+      report.leftDiscord.push(entry);
+    }
+
+    const exemption = record ? getExemption(record.discordId) : null;
+    if (stored.joined > Date.now() - graceDays * DAY_MS) {
+      report.newMembers.push(entry);
+    } else if (exemption) {
+      report.excused.push({ ...entry, exemption });
+    } else if (weeklyExp < requirement) {
+      report.inactive.push(entry);
+    }
+  }
+
+  report.inactive.sort((a, b) => a.weeklyExp - b.weeklyExp);
+  return report;
+}
+
+// Function to build the weekly report embed
+export function buildActivityReportEmbed(report) {
+  const describe = (entry) =>
+    `**${entry.name}**${entry.discordId ? ` (<@${entry.discordId}>)` : ""}: ${entry.weeklyExp.toLocaleString("en-US")} GEXP`;
+  const list = (entries, format = describe) =>
+    entries.map(format).join("\n").slice(0, 1024) || "None";
+
+  return new EmbedBuilder()
+    .setColor(report.inactive.length ? "#FFFF00" : "#00FF00")
+    .setTitle("📉 Weekly Activity Report")
+    .setDescription(
+      `Checked ${report.checked} members of **${report.hypixelGuild}** against a requirement of **${report.requirement.toLocaleString("en-US")} GEXP** per week.`,
+    )
+    .addFields(
+      {
+        name: `Below Requirement (${report.inactive.length})`,
+        value: list(report.inactive),
+      },
+      {
+        name: `New Members, ${report.graceDays}-day grace (${report.newMembers.length})`,
+        value: list(
+          report.newMembers,
+          (entry) =>
+            `${describe(entry)}, joined ${time(new Date(entry.joined), TimestampStyles.RelativeTime)}`,
+        ),
+      },
+      {
+        name: `Excused (${report.excused.length})`,
+        value: list(
+          report.excused,
+          (entry) =>
+            `${describe(entry)}, until ${time(new Date(entry.exemption.until), TimestampStyles.ShortDate)}: ${entry.exemption.reason}`,
+        ),
+      },
+      {
+        name: `Left the Discord (${report.leftDiscord.length})`,
+        value: list(report.leftDiscord),
+      },
+    )
+    .setTimestamp();
+}
+
+// Function to post the weekly report to the staff channel
+export async function postActivityReport(guild, embed) {
+  const staffChannel = getConfiguredChannel(guild, "staffChannel");
+  if (!staffChannel) return;
+
+  await staffChannel
+    .send({ embeds: [embed], allowedMentions: { parse: [] } })
+    .catch((error) => {
+      console.error("Failed to post activity report:", error);
+    });
+}
+
+// Function to take any due snapshot and post any due report for one server
+// The weekly clock starts at a server's first snapshot, so the first report
+// covers a full week of history
+async function checkGuildActivity(guild) {
+  const now = Date.now();
+  const history = getGuildHistory(getConfiguredValue(guild, "hypixelGuild"));
+  const lastReport = lastReports.get(guild.id);
+  const snapshotDue = history?.snapshotDate !== toDateKey(now);
+  const reportDue = lastReport !== undefined && now - lastReport >= REPORT_INTERVAL_MS;
+
+  if (!snapshotDue && !reportDue) return;
+
+  const snapshot = await takeGuildSnapshot(guild);
+  if (snapshot.error) {
+    console.error(`GEXP snapshot failed for ${guild.name}: ${snapshot.error}`);
+    return;
+  }
+
+  if (lastReport === undefined) {
+    setLastReport(guild.id, now);
+  } else if (reportDue) {
+    const report = await buildActivityReport(guild, snapshot.hypixelGuild, snapshot.history);
+    await postActivityReport(guild, buildActivityReportEmbed(report));
+    setLastReport(guild.id, now);
+  }
+}
+
+// Function to start daily GEXP snapshots and weekly reports for every guild
+export function startActivityTracking(client) {
+  const checkAll = async () => {
+    for (const guild of client.guilds.cache.values()) {
+      await checkGuildActivity(guild).catch((error) => {
+        console.error(`Activity check failed for ${guild.name}:`, error);
+      });
+    }
+  };
+
+  checkAll();
+  setInterval(checkAll, CHECK_INTERVAL_MS);
+}
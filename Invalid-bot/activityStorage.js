@@ -0,0 +1,123 @@
+import { openDocument } from "./datastore.js";
+
+// How many days of GEXP history are kept
+export const HISTORY_DAYS = 90;
+
+// GEXP history keyed by lowercased Hypixel guild name:
+// { snapshotDate, members: { [uuid]: { joined, rank, lastSeen, exp: { [date]: gexp } } } }
+export let gexpHistory = new Map();
+
+// Inactivity exemptions keyed by Discord ID:
+// { discordId, guildId, minecraftUuid, until, reason, grantedBy, grantedAt }
+export let exemptions = new Map();
+
+// When each Discord server last got its weekly report, keyed by Discord guild ID
+export let lastReports = new Map();
+
+// Persistent storage for Hypixel guild activity: daily GEXP snapshots,
+// inactivity exemptions and when each server last got its weekly report
+// Schema 1 is the pre-versioning file with any missing sections filled in
+const document = openDocument("gexpHistory", {
+  defaults: { gexpHistory: {}, exemptions: [], lastReports: {} },
+  migrations: [
+    (data) => ({
+      gexpHistory: data.gexpHistory || {},
+      exemptions: data.exemptions || [],
+      lastReports: data.lastReports || {},
+    }),
+  ],
+});
+
+// Function to load data from storage
+function loadActivity() {
+  gexpHistory = new Map(Object.entries(document.data.gexpHistory));
+
+  // Drop exemptions that ran out while the bot was offline
+  const now = Date.now();
+  exemptions = new Map(
+    document.data.exemptions
+      .filter((exemption) => exemption.until > now)
+      .map((exemption) => [exemption.discordId, exemption]),
+  );
+  lastReports = new Map(Object.entries(document.data.lastReports));
+}
+
+// Function to save data to storage
+export function saveActivity() {
+  document.save({
+    gexpHistory: Object.fromEntries(gexpHistory),
+    exemptions: Array.from(exemptions.values()),
+    lastReports: Object.fromEntries(lastReports),
+  });
+}
+
+// Load activity data when the bot starts
+loadActivity();
+
+// Function to get the stored history of a Hypixel guild (null if never snapshotted)
+export function getGuildHistory(hypixelGuildName) {
+  return gexpHistory.get(hypixelGuildName.toLowerCase()) || null;
+}
+
+// Function to merge a fetched Hypixel guild's daily GEXP into its history
+// Hypixel only returns the last seven days, so each snapshot extends the history
+// and days older than HISTORY_DAYS are dropped
+export function recordGuildSnapshot(hypixelGuild, date) {
+  const key = hypixelGuild.name.toLowerCase();
+  const history = gexpHistory.get(key) || { snapshotDate: null, members: {} };
+  const oldestDate = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000)
+    .toISOString()
+    .slice(0, 10);
+
+  for (const member of hypixelGuild.members) {
+    const stored = history.members[member.uuid] || { exp: {} };
+    history.members[member.uuid] = {
+      joined: member.joined,
+      rank: member.rank,
+      lastSeen: date,
+      exp: { ...stored.exp, ...(member.expHistory || {}) },
+    };
+  }
+
+  // Forget old days, and members who left before the oldest kept day
+  for (const [uuid, member] of Object.entries(history.members)) {
+    if (member.lastSeen < oldestDate) {
+      delete history.members[uuid];
+      continue;
+    }
+    for (const day of Object.keys(member.exp)) {
+      if (day < oldestDate) delete member.exp[day];
+    }
+  }
+
+  history.snapshotDate = date;
+  gexpHistory.set(key, history);
+  saveActivity();
+  return history;
+}
+
+// Function to get a member's active inactivity exemption (null if none)
+export function getExemption(discordId) {
+  const exemption = exemptions.get(discordId);
+  if (!exemption) return null;
+
+  if (exemption.until <= Date.now()) {
+    exemptions.delete(discordId);
+    saveActivity();
+    return null;
+  }
+
+  return exemption;
+}
+
+// Function to grant (or replace) a member's inactivity exemption
+export function setExemption(exemption) {
+  exemptions.set(exemption.discordId, exemption);
+  saveActivity();
+}
+
+// Function to record when a server last got its weekly report
+export function setLastReport(guildId, timestamp) {
+  lastReports.set(guildId, timestamp);
+  saveActivity();
+}
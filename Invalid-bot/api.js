@@ -0,0 +1,343 @@
+import axios from "axios";
+import { TimestampStyles, time } from "discord.js";
+import { recordUpstreamRequest } from "./metrics.js";
+
+// Get the Hypixel API key from environment
+const HYPIXEL_API_KEY = process.env.HYPIXEL_API_KEY;
+
+// Shared HTTP clients. The Hypixel key goes in a header so it never ends up in
+// URLs, and therefore never in logged errors
+const mojangClient = axios.create({ timeout: 10_000 });
+const hypixelClient = axios.create({
+  baseURL: "https://api.hypixel.net",
+  timeout: 10_000,
+  headers: { "API-Key": HYPIXEL_API_KEY },
+});
+
+// How long responses stay cached
+const PROFILE_CACHE_TTL_MS = 60 * 60 * 1000; // Mojang name <-> UUID
+const HYPIXEL_CACHE_TTL_MS = 5 * 60 * 1000; // Hypixel player and guild data
+
+// Retries for timeouts, network errors and 5xx responses
+const MAX_RETRIES = 2;
+const RETRY_DELAY_MS = 500;
+
+// Longest we wait for the Hypixel rate limit to reset before giving up
+const MAX_RATE_LIMIT_WAIT_MS = 15_000;
+
+// Base class for every API failure, with the service that failed
+export class ApiError extends Error {
+  constructor(service, message) {
+    super(message);
+    this.name = "ApiError";
+    this.service = service;
+  }
+}
+
+// The player or guild does not exist
+export class NotFoundError extends ApiError {
+  constructor(service, message = "Not found") {
+    super(service, message);
+    this.name = "NotFoundError";
+  }
+}
+
+// The service is rate limiting us; retryAt is a timestamp (or null if unknown)
+export class RateLimitError extends ApiError {
+  constructor(service, retryAt = null) {
+    super(service, "Rate limited");
+    this.name = "RateLimitError";
+    this.retryAt = retryAt;
+  }
+}
+
+// The Hypixel API key is missing, invalid or revoked
+export class InvalidKeyError extends ApiError {
+  constructor(service) {
+    super(service, "Invalid API key");
+    this.name = "InvalidKeyError";
+  }
+}
+
+// The service is down, timed out or returned a server error
+export class UpstreamError extends ApiError {
+  constructor(service, message = "Upstream unavailable") {
+    super(service, message);
+    this.name = "UpstreamError";
+  }
+}
+
+// Function to turn an axios error into a typed API error
+// Only the status and message are kept, never the request config or headers
+// Mojang answers 400 for names that can't exist (bad characters or length)
+function toApiError(service, error) {
+  const status = error.response?.status;
+
+  if (status === 404) return new NotFoundError(service);
+  if (service === "Mojang" && status === 400) return new NotFoundError(service);
+  if (status === 429) return new RateLimitError(service, getRetryAt(error.response));
+  if (service === "Hypixel" && status === 403) return new InvalidKeyError(service);
+  if (!status || status >= 500) {
+    return new UpstreamError(service, status ? `HTTP ${status}` : error.message);
+  }
+  return new ApiError(service, `HTTP ${status}`);
+}
+
+// Function to read when a rate limit resets from response headers
+function getRetryAt(response) {
+  const seconds = Number(
+    response?.headers["ratelimit-reset"] ?? response?.headers["retry-after"],
+  );
+  return Number.isFinite(seconds) ? Date.now() + seconds * 1000 : null;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Response cache, keyed by endpoint and UUID/name
+const cache = new Map();
+const cacheStats = { hits: 0, misses: 0 };
+
+// Function to return a cached value or load and cache it
+async function cached(key, ttl, load) {
+  const entry = cache.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    cacheStats.hits++;
+    return entry.value;
+  }
+
+  cacheStats.misses++;
+  const value = await load();
+  cache.set(key, { value, expiresAt: Date.now() + ttl });
+
+  // Drop expired entries once the cache grows
+  if (cache.size > 1000) {
+    const now = Date.now();
+    for (const [cacheKey, { expiresAt }] of cache) {
+      if (expiresAt <= now) cache.delete(cacheKey);
+    }
+  }
+
+  return value;
+}
+
+// Function to get cache statistics (size, hits, misses)
+export function getCacheStats() {
+  return { size: cache.size, ...cacheStats };
+}
+
+// Hypixel rate limit state from the latest RateLimit-* headers
+const hypixelRateLimit = { remaining: null, resetAt: 0 };
+
+// Whether the Hypixel API last accepted our key: null until a request has been
+// made (or false straight away when no key is set), with when that was learned
+const hypixelKeyStatus = {
+  valid: HYPIXEL_API_KEY ? null : false,
+  checkedAt: HYPIXEL_API_KEY ? null : Date.now(),
+};
+
+// Function to get the Hypixel key status ({ valid, checkedAt })
+export function getHypixelKeyStatus() {
+  return { ...hypixelKeyStatus };
+}
+
+// Function to record whether the Hypixel API accepted the key
+// Only successes and key rejections count, so outages don't change it
+function updateHypixelKeyStatus(valid) {
+  hypixelKeyStatus.valid = valid;
+  hypixelKeyStatus.checkedAt = Date.now();
+}
+
+// Hypixel requests run one at a time so the rate limit headers stay accurate
+let hypixelQueue = Promise.resolve();
+
+// Function to add a task to the Hypixel request queue
+function enqueueHypixel(task) {
+  const run = hypixelQueue.then(task);
+  hypixelQueue = run.catch(() => {});
+  return run;
+}
+
+// Function to wait until the Hypixel rate limit allows another request
+async function waitForHypixelRateLimit() {
+  if (hypixelRateLimit.remaining === null || hypixelRateLimit.remaining > 0) {
+    return;
+  }
+
+  const wait = hypixelRateLimit.resetAt - Date.now();
+  if (wait <= 0) return;
+  if (wait > MAX_RATE_LIMIT_WAIT_MS) {
+    throw new RateLimitError("Hypixel", hypixelRateLimit.resetAt);
+  }
+  await sleep(wait);
+}
+
+// Function to record the Hypixel rate limit headers from a response
+function updateHypixelRateLimit(response) {
+  const remaining = Number(response?.headers["ratelimit-remaining"]);
+  const resetAt = getRetryAt(response);
+
+  if (Number.isFinite(remaining)) hypixelRateLimit.remaining = remaining;
+  if (resetAt) hypixelRateLimit.resetAt = resetAt;
+}
+
+// Function to perform a GET request with retries and typed errors
+async function request(service, client, url, config = {}) {
+  for (let attempt = 0; ; attempt++) {
+    let startedAt;
+    try {
+      if (service === "Hypixel") await waitForHypixelRateLimit();
+      startedAt = Date.now();
+      const response = await client.get(url, config);
+      recordUpstreamRequest(service, Date.now() - startedAt, "ok");
+      if (service === "Hypixel") {
+        updateHypixelRateLimit(response);
+        updateHypixelKeyStatus(true);
+      }
+      return response;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      if (service === "Hypixel") updateHypixelRateLimit(error.response);
+
+      const apiError = toApiError(service, error);
+      recordUpstreamRequest(service, Date.now() - startedAt, apiError.name);
+      if (apiError instanceof InvalidKeyError) updateHypixelKeyStatus(false);
+
+      const canRetry =
+        apiError instanceof UpstreamError ||
+        (apiError instanceof RateLimitError && service === "Hypixel");
+      if (!canRetry || attempt >= MAX_RETRIES) throw apiError;
+
+      if (apiError instanceof RateLimitError) {
+        hypixelRateLimit.remaining = 0;
+        hypixelRateLimit.resetAt = apiError.retryAt || Date.now() + RETRY_DELAY_MS;
+      } else {
+        await sleep(RETRY_DELAY_MS * 2 ** attempt);
+      }
+    }
+  }
+}
+
+// Function to perform a queued Hypixel API request and return its body
+function hypixelRequest(path, params) {
+  if (!HYPIXEL_API_KEY) {
+    return Promise.reject(new InvalidKeyError("Hypixel"));
+  }
+  return enqueueHypixel(async () => {
+    const response = await request("Hypixel", hypixelClient, path, { params });
+    return response.data;
+  });
+}
+
+// Function to fetch a Mojang profile ({ id, name }) from a Minecraft username
+export function getMojangProfile(minecraftName) {
+  return cached(
+    `mojang:name:${minecraftName.toLowerCase()}`,
+    PROFILE_CACHE_TTL_MS,
+    async () => {
+      const response = await request(
+        "Mojang",
+        mojangClient,
+        `https://api.mojang.com/users/profiles/minecraft/${encodeURIComponent(minecraftName)}`,
+      );
+      // Mojang answers unknown names with 404, or 204 and no body on older endpoints
+      if (!response.data?.id) throw new NotFoundError("Mojang");
+      return { id: response.data.id, name: response.data.name };
+    },
+  );
+}
+
+// Function to fetch UUID from Minecraft username using Mojang API
+export async function getUUIDFromUsername(minecraftName) {
+  const profile = await getMojangProfile(minecraftName);
+  return profile.id;
+}
+
+// Function to fetch a player's Mojang session profile for a UUID:
+// { name, skinUrl, slim } where skinUrl is null for players on a default skin
+// and slim is true for the 3px-armed "Alex" model
+export function getSessionProfile(uuid) {
+  return cached(`mojang:uuid:${uuid}`, PROFILE_CACHE_TTL_MS, async () => {
+    const response = await request(
+      "Mojang",
+      mojangClient,
+      `https://sessionserver.mojang.com/session/minecraft/profile/${uuid}`,
+    );
+    if (!response.data?.name) throw new NotFoundError("Mojang");
+
+    // Skin details live in a base64-encoded JSON "textures" property
+    const texturesProperty = response.data.properties?.find(
+      (property) => property.name === "textures",
+    );
+    const textures = texturesProperty
+      ? JSON.parse(Buffer.from(texturesProperty.value, "base64").toString("utf-8"))
+          .textures
+      : {};
+
+    return {
+      name: response.data.name,
+      skinUrl: textures?.SKIN?.url || null,
+      slim: textures?.SKIN?.metadata?.model === "slim",
+    };
+  });
+}
+
+// Function to fetch the current Minecraft username for a UUID using Mojang API
+export async function getUsernameFromUUID(uuid) {
+  const profile = await getSessionProfile(uuid);
+  return profile.name;
+}
+
+// Function to fetch Hypixel player data (throws NotFoundError if they never joined)
+export function getHypixelPlayerData(uuid) {
+  return cached(`hypixel:player:${uuid}`, HYPIXEL_CACHE_TTL_MS, async () => {
+    const data = await hypixelRequest("/player", { uuid });
+    if (!data.player) {
+      throw new NotFoundError("Hypixel", "Player has never joined Hypixel");
+    }
+    return data.player;
+  });
+}
+
+// Function to fetch the Hypixel guild a player is in (null if they have none)
+export function getHypixelGuildData(playerUUID) {
+  return cached(`hypixel:guild:${playerUUID}`, HYPIXEL_CACHE_TTL_MS, async () => {
+    const data = await hypixelRequest("/guild", { player: playerUUID });
+    return data.guild || null;
+  });
+}
+
+// Function to fetch Hypixel guild data by guild name (throws NotFoundError if none)
+export function getHypixelGuildByName(guildName) {
+  return cached(
+    `hypixel:guild-name:${guildName.toLowerCase()}`,
+    HYPIXEL_CACHE_TTL_MS,
+    async () => {
+      const data = await hypixelRequest("/guild", { name: guildName });
+      if (!data.guild) throw new NotFoundError("Hypixel", "Guild not found");
+      return data.guild;
+    },
+  );
+}
+
+// Function to turn an API error into a message for the user
+// `notFoundMessage` describes what was missing in the caller's own words
+export function describeApiError(error, notFoundMessage = "That player could not be found.") {
+  if (error instanceof NotFoundError) return notFoundMessage;
+
+  if (error instanceof RateLimitError) {
+    return error.retryAt
+      ? `The ${error.service} API is rate limiting the bot. Please try again ${time(new Date(error.retryAt), TimestampStyles.RelativeTime)}.`
+      : `The ${error.service} API is rate limiting the bot. Please try again in a minute.`;
+  }
+
+  if (error instanceof InvalidKeyError) {
+    return "The bot's Hypixel API key is invalid or missing. Please let staff know.";
+  }
+
+  if (error instanceof UpstreamError) {
+    return `The ${error.service} API is not responding right now. Please try again later.`;
+  }
+
+  console.error("Unexpected API error:", error);
+  return "An unexpected error occurred while contacting the API. Please try again later.";
+}
@@ -0,0 +1,60 @@
+import { openDocument } from "./datastore.js";
+
+// Applications keyed by ID:
+// { id, guildId, applicantId, minecraftUuid, minecraftName, answers, checks,
+//   passed, status, submittedAt, channelId, messageId, decidedBy, decidedAt,
+//   reason, questions } where status is "pending", "accepted" or "denied" and
+// questions is a list of { question, askedBy, askedAt, answer, answeredAt }
+export let applications = new Map();
+
+// Persistent storage for guild applications and their outcomes
+// Schema 1 is the pre-versioning file with a missing list filled in
+const document = openDocument("applications", {
+  defaults: { applications: [] },
+  migrations: [(data) => ({ applications: data.applications || [] })],
+});
+
+// Function to load data from storage
+function loadApplications() {
+  applications = new Map(
+    document.data.applications.map((application) => [application.id, application]),
+  );
+}
+
+// Function to save data to storage
+export function saveApplications() {
+  document.save({ applications: Array.from(applications.values()) });
+}
+
+// Load applications when the bot starts
+loadApplications();
+
+// Function to get an application by ID (null if unknown)
+export function getApplication(id) {
+  return applications.get(id) || null;
+}
+
+// Function to store a new or updated application
+export function saveApplication(application) {
+  applications.set(application.id, application);
+  saveApplications();
+}
+
+// Function to list a member's applications in a server, newest first
+export function getApplicationsFor(guildId, applicantId) {
+  return Array.from(applications.values())
+    .filter(
+      (application) =>
+        application.guildId === guildId && application.applicantId === applicantId,
+    )
+    .sort((a, b) => b.submittedAt - a.submittedAt);
+}
+
+// Function to find a member's pending application in a server (null if none)
+export function findPendingApplication(guildId, applicantId) {
+  return (
+    getApplicationsFor(guildId, applicantId).find(
+      (application) => application.status === "pending",
+    ) || null
+  );
+}
@@ -0,0 +1,636 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  TimestampStyles,
+  embedLength,
+  time,
+} from "discord.js";
+import {
+  describeApiError,
+  getHypixelGuildData,
+  getHypixelPlayerData,
+  getMojangProfile,
+} from "./api.js";
+import {
+  findPendingApplication,
+  getApplication,
+  saveApplication,
+} from "./applicationStorage.js";
+import {
+  getConfiguredChannel,
+  getConfiguredNumber,
+  getConfiguredValue,
+} from "./guildConfig.js";
+import { calculateHypixelLevel, matchesDiscordLink } from "./hypixel.js";
+import { checkPermission, sendDenial } from "./permissions.js";
+import { getLink } from "./storage.js";
+
+// Free-text questions on the application form, asked after the Minecraft name
+// (a modal holds at most five inputs)
+const APPLICATION_QUESTIONS = [
+  {
+    id: "about",
+    label: "Tell us about yourself",
+    style: TextInputStyle.Paragraph,
+    required: true,
+  },
+  {
+    id: "why",
+    label: "Why do you want to join?",
+    style: TextInputStyle.Paragraph,
+    required: true,
+  },
+  {
+    id: "activity",
+    label: "How active are you on Hypixel?",
+    style: TextInputStyle.Short,
+    required: true,
+  },
+  {
+    id: "other",
+    label: "Anything else we should know?",
+    style: TextInputStyle.Paragraph,
+    required: false,
+  },
+];
+
+// Discord rejects embeds over 6000 characters in total or with over 25 fields.
+// Form answers are shortened in the review embed so the newest staff question
+// always fits; older questions are dropped from it once it runs out of room
+const EMBED_CHARACTER_LIMIT = 6000;
+const EMBED_FIELD_LIMIT = 25;
+const ANSWER_PREVIEW_LENGTH = 600;
+
+// Function to shorten text to a length, marking where it was cut
+function shorten(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+// Function to calculate a ratio, or the top figure when there is nothing to divide by
+const ratio = (top = 0, bottom = 0) => (bottom ? top / bottom : top);
+
+// Game stats that can be required, as used in the applyStatRequirements setting
+// (e.g. "bedwarsStars=100, duelsWins=500")
+const STAT_REQUIREMENTS = {
+  bedwarsStars: {
+    label: "Bed Wars stars",
+    get: (player) => player.achievements?.bedwars_level || 0,
+  },
+  bedwarsFkdr: {
+    label: "Bed Wars FKDR",
+    get: (player) =>
+      ratio(
+        player.stats?.Bedwars?.final_kills_bedwars,
+        player.stats?.Bedwars?.final_deaths_bedwars,
+      ),
+  },
+  bedwarsWins: {
+    label: "Bed Wars wins",
+    get: (player) => player.stats?.Bedwars?.wins_bedwars || 0,
+  },
+  skywarsWins: {
+    label: "SkyWars wins",
+    get: (player) => player.stats?.SkyWars?.wins || 0,
+  },
+  skywarsKills: {
+    label: "SkyWars kills",
+    get: (player) => player.stats?.SkyWars?.kills || 0,
+  },
+  duelsWins: {
+    label: "Duels wins",
+    get: (player) => player.stats?.Duels?.wins || 0,
+  },
+  duelsWlr: {
+    label: "Duels WLR",
+    get: (player) => ratio(player.stats?.Duels?.wins, player.stats?.Duels?.losses),
+  },
+};
+
+// Function to parse the applyStatRequirements setting into { key, minimum } pairs
+// "none", "off" or an empty value means no stat requirements; unknown stats are skipped
+function parseStatRequirements(text) {
+  if (!text || ["none", "off"].includes(text.trim().toLowerCase())) return [];
+
+  return text
+    .split(",")
+    .map((part) => part.trim().match(/^(\w+)\s*(?:>=|=|:)\s*([\d.]+)$/))
+    .filter(Boolean)
+    .map(([, key, minimum]) => ({ key, minimum: Number(minimum) }))
+    .filter(({ key }) => {
+      if (STAT_REQUIREMENTS[key]) return true;
+      console.warn(
+        `Unknown stat "${key}" in applyStatRequirements (use ${Object.keys(STAT_REQUIREMENTS).join(", ")})`,
+      );
+      return false;
+    });
+}
+
+// Function to format a number for a requirement line
+function formatFigure(value) {
+  return Number.isInteger(value)
+    ? value.toLocaleString("en-US")
+    : value.toFixed(2);
+}
+
+// Function to check an applicant against the server's requirements
+// Returns a list of { label, passed, detail }
+function checkRequirements(guild, user, playerData, hypixelGuild) {
+  const checks = [];
+
+  const minLevel = getConfiguredNumber(guild, "applyMinLevel");
+  const level = calculateHypixelLevel(playerData.networkExp || 0);
+  checks.push({
+    label: "Hypixel level",
+    passed: level >= minLevel,
+    detail: `${level} (needs ${minLevel})`,
+  });
+
+  for (const { key, minimum } of parseStatRequirements(
+    getConfiguredValue(guild, "applyStatRequirements"),
+  )) {
+    const requirement = STAT_REQUIREMENTS[key];
+    const value = requirement.get(playerData);
+    checks.push({
+      label: requirement.label,
+      passed: value >= minimum,
+      detail: `${formatFigure(value)} (needs ${formatFigure(minimum)})`,
+    });
+  }
+
+  // Applicants may not be in another guild (already being in ours is fine)
+  const ownGuild = getConfiguredValue(guild, "hypixelGuild");
+  const inOtherGuild =
+    hypixelGuild && hypixelGuild.name.toLowerCase() !== ownGuild.toLowerCase();
+  checks.push({
+    label: "Guild",
+    passed: !inOtherGuild,
+    detail: hypixelGuild ? `In ${hypixelGuild.name}` : "Not in a guild",
+  });
+
+  // Shows the Minecraft account belongs to the applicant
+  const linkedDiscord = playerData.socialMedia?.links?.DISCORD;
+  checks.push({
+    label: "Discord linked on Hypixel",
+    passed: matchesDiscordLink(linkedDiscord, user),
+    detail: linkedDiscord ? `\`${linkedDiscord}\`` : "Not linked",
+  });
+
+  return checks;
+}
+
+// Function to build the staff-facing embed for an application
+export function buildApplicationEmbed(application) {
+  const statusStyles = {
+    pending: { color: "#FFFF00", label: "⏳ Pending" },
+    accepted: { color: "#00FF00", label: "✅ Accepted" },
+    denied: { color: "#FF0000", label: "❌ Denied" },
+  };
+  const status = statusStyles[application.status];
+
+  const embed = new EmbedBuilder()
+    .setColor(status.color)
+    .setTitle(`📝 Application: ${application.minecraftName}`)
+    .addFields(
+      { name: "Applicant", value: `<@${application.applicantId}>`, inline: true },
+      { name: "Minecraft", value: application.minecraftName, inline: true },
+      { name: "Status", value: status.label, inline: true },
+      {
+        name: application.passed ? "Requirements ✅" : "Requirements ❌",
+        value: application.checks
+          .map((check) => `${check.passed ? "✅" : "❌"} ${check.label}: ${check.detail}`)
+          .join("\n")
+          .slice(0, 1024),
+      },
+    )
+    .setFooter({ text: `Application ${application.id}` })
+    .setTimestamp(application.submittedAt);
+
+  for (const question of APPLICATION_QUESTIONS) {
+    const answer = application.answers[question.id];
+    if (answer) {
+      embed.addFields({
+        name: question.label,
+        value: shorten(answer, ANSWER_PREVIEW_LENGTH),
+      });
+    }
+  }
+
+  const decisionFields = [];
+  if (application.status !== "pending") {
+    const decidedAt = time(new Date(application.decidedAt), TimestampStyles.RelativeTime);
+    const reason = application.reason ? `\n**Reason:** ${application.reason}` : "";
+    decisionFields.push({
+      name: "Decision",
+      value: shorten(`${status.label} by <@${application.decidedBy}> ${decidedAt}${reason}`, 1024),
+    });
+  }
+
+  const questionFields = application.questions.map(({ question, askedBy, answer }) => ({
+    name: "❓ Asked by staff",
+    value: shorten(
+      `<@${askedBy}>: ${question}\n**Answer:** ${answer || "*Waiting for a reply*"}`,
+      1024,
+    ),
+  }));
+
+  // Keep the newest staff questions that fit, leaving room for the decision
+  // and a note about any that were left out
+  const omittedNote = (count) => ({
+    name: "❓ Earlier questions",
+    value: `${count} earlier question${count === 1 ? "" : "s"} not shown`,
+  });
+  let room =
+    EMBED_CHARACTER_LIMIT -
+    embedLength({ ...embed.data, fields: [...embed.data.fields, ...decisionFields] }) -
+    embedLength({ fields: [omittedNote(questionFields.length)] });
+  let slots = EMBED_FIELD_LIMIT - embed.data.fields.length - decisionFields.length - 1;
+
+  const shownFields = [];
+  for (const field of [...questionFields].reverse()) {
+    const length = embedLength({ fields: [field] });
+    if (length > room || slots === 0) break;
+    shownFields.unshift(field);
+    room -= length;
+    slots--;
+  }
+
+  const omitted = questionFields.length - shownFields.length;
+  if (omitted) embed.addFields(omittedNote(omitted));
+  embed.addFields(...shownFields, ...decisionFields);
+
+  return embed;
+}
+
+// Function to build the Accept/Deny/Ask-more buttons for an application
+function buildDecisionButtons(application) {
+  const decided = application.status !== "pending";
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`application_accept:${application.id}`)
+      .setLabel("Accept")
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(decided),
+    new ButtonBuilder()
+      .setCustomId(`application_deny:${application.id}`)
+      .setLabel("Deny")
+      .setStyle(ButtonStyle.Danger)
+      .setDisabled(decided),
+    new ButtonBuilder()
+      .setCustomId(`application_ask:${application.id}`)
+      .setLabel("Ask more")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(decided),
+  );
+}
+
+// Function to build a modal with a single paragraph input
+function buildTextModal(customId, title, label, required) {
+  const input = new TextInputBuilder()
+    .setCustomId("text")
+    .setLabel(label)
+    .setStyle(TextInputStyle.Paragraph)
+    .setMaxLength(1000)
+    .setRequired(required);
+
+  return new ModalBuilder()
+    .setCustomId(customId)
+    .setTitle(title)
+    .addComponents(new ActionRowBuilder().addComponents(input));
+}
+
+// Function to DM the applicant; returns whether the DM was delivered
+async function notifyApplicant(client, application, payload) {
+  try {
+    const user = await client.users.fetch(application.applicantId);
+    await user.send(payload);
+    return true;
+  } catch (error) {
+    console.error(`Failed to DM applicant ${application.applicantId}:`, error.message);
+    return false;
+  }
+}
+
+// Function to refresh the staff message for an application after it changed
+async function refreshStaffMessage(client, application) {
+  try {
+    const channel = await client.channels.fetch(application.channelId);
+    const message = await channel.messages.fetch(application.messageId);
+    await message.edit({
+      embeds: [buildApplicationEmbed(application)],
+      components: [buildDecisionButtons(application)],
+    });
+  } catch (error) {
+    console.error(`Failed to update application ${application.id}:`, error.message);
+  }
+}
+
+// Function to show the application form to a member who clicked "Apply"
+async function showApplicationForm(interaction) {
+  if (findPendingApplication(interaction.guild.id, interaction.user.id)) {
+    return interaction.reply({
+      content: "You already have an application waiting for staff review.",
+      flags: "Ephemeral",
+    });
+  }
+
+  const nameInput = new TextInputBuilder()
+    .setCustomId("minecraft_name")
+    .setLabel("Minecraft Name")
+    .setStyle(TextInputStyle.Short)
+    .setPlaceholder("Enter your Minecraft name")
+    .setMaxLength(16)
+    .setRequired(true);
+
+  // Verified members get their linked name filled in
+  const linkedName = getLink(interaction.user.id)?.minecraftName;
+  if (linkedName) nameInput.setValue(linkedName);
+
+  const modal = new ModalBuilder()
+    .setCustomId("apply_modal")
+    .setTitle("Guild Application")
+    .addComponents(
+      new ActionRowBuilder().addComponents(nameInput),
+      ...APPLICATION_QUESTIONS.map((question) =>
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId(question.id)
+            .setLabel(question.label)
+            .setStyle(question.style)
+            .setMaxLength(question.style === TextInputStyle.Short ? 200 : 1000)
+            .setRequired(question.required),
+        ),
+      ),
+    );
+
+  await interaction.showModal(modal);
+}
+
+// Function to check a submitted application and post it for staff review
+async function submitApplication(interaction) {
+  const minecraftName = interaction.fields.getTextInputValue("minecraft_name");
+
+  // Lookups can take a while (and may wait on the rate limit), so defer first
+  await interaction.deferReply({ flags: "Ephemeral" });
+
+  if (findPendingApplication(interaction.guild.id, interaction.user.id)) {
+    return interaction.editReply({
+      content: "You already have an application waiting for staff review.",
+    });
+  }
+
+  const reviewChannel =
+    getConfiguredChannel(interaction.guild, "applicationChannel") ||
+    getConfiguredChannel(interaction.guild, "staffChannel");
+  if (!reviewChannel) {
+    return interaction.editReply({
+      content: "Applications are not set up in this server yet. Please contact staff.",
+    });
+  }
+
+  let profile;
+  let playerData;
+  let hypixelGuild;
+  try {
+    profile = await getMojangProfile(minecraftName);
+    playerData = await getHypixelPlayerData(profile.id);
+    hypixelGuild = await getHypixelGuildData(profile.id);
+  } catch (error) {
+    return interaction.editReply({
+      content: describeApiError(
+        error,
+        `**${minecraftName}** does not exist or has never joined Hypixel. Please check your Minecraft name.`,
+      ),
+    });
+  }
+
+  const checks = checkRequirements(
+    interaction.guild,
+    interaction.user,
+    playerData,
+    hypixelGuild,
+  );
+  const application = {
+    id: interaction.id,
+    guildId: interaction.guild.id,
+    applicantId: interaction.user.id,
+    minecraftUuid: profile.id,
+    minecraftName: profile.name,
+    answers: Object.fromEntries(
+      APPLICATION_QUESTIONS.map((question) => [
+        question.id,
+        interaction.fields.getTextInputValue(question.id) || null,
+      ]),
+    ),
+    checks,
+    passed: checks.every((check) => check.passed),
+    status: "pending",
+    submittedAt: Date.now(),
+    channelId: reviewChannel.id,
+    messageId: null,
+    decidedBy: null,
+    decidedAt: null,
+    reason: null,
+    questions: [],
+  };
+
+  try {
+    const message = await reviewChannel.send({
+      embeds: [buildApplicationEmbed(application)],
+      components: [buildDecisionButtons(application)],
+      allowedMentions: { parse: [] },
+    });
+    application.messageId = message.id;
+  } catch (error) {
+    console.error("Failed to post application:", error);
+    return interaction.editReply({
+      content: "Your application could not be sent to staff. Please try again later.",
+    });
+  }
+
+  saveApplication(application);
+
+  const failed = checks.filter((check) => !check.passed);
+  await interaction.editReply({
+    content: failed.length
+      ? `Your application has been sent to staff. Heads up, you don't meet every requirement yet:\n${failed.map((check) => `❌ ${check.label}: ${check.detail}`).join("\n")}`
+      : "Your application has been sent to staff. You meet every requirement! You'll get a DM once it has been reviewed.",
+  });
+}
+
+// Function to record a staff decision, update the staff message and DM the applicant
+async function decideApplication(interaction, application, status, reason = null) {
+  application.status = status;
+  application.decidedBy = interaction.user.id;
+  application.decidedAt = Date.now();
+  application.reason = reason;
+  saveApplication(application);
+
+  await interaction.update({
+    embeds: [buildApplicationEmbed(application)],
+    components: [buildDecisionButtons(application)],
+  });
+
+  const hypixelGuildName = getConfiguredValue(interaction.guild, "hypixelGuild");
+  const delivered = await notifyApplicant(interaction.client, application, {
+    content:
+      status === "accepted"
+        ? `🎉 Your application to **${hypixelGuildName}** was accepted! Staff will invite **${application.minecraftName}** in game.`
+        : `Your application to **${hypixelGuildName}** was denied.${reason ? `\n**Reason:** ${reason}` : ""}`,
+  });
+  if (!delivered) {
+    await interaction.followUp({
+      content: `<@${application.applicantId}> could not be sent a DM about the decision.`,
+      flags: "Ephemeral",
+    });
+  }
+}
+
+// Function to handle application buttons and modals
+// Returns true when the interaction belonged to the application workflow
+export async function handleApplicationInteraction(interaction) {
+  if (!interaction.isButton() && !interaction.isModalSubmit()) return false;
+
+  if (interaction.customId === "apply_button") {
+    await showApplicationForm(interaction);
+    return true;
+  }
+  if (interaction.customId === "apply_modal") {
+    await submitApplication(interaction);
+    return true;
+  }
+
+  const [action, id, questionIndex] = interaction.customId.split(":");
+  if (!action.startsWith("application_")) return false;
+
+  const application = getApplication(id);
+  if (!application) {
+    await interaction.reply({
+      content: "This application no longer exists.",
+      flags: "Ephemeral",
+    });
+    return true;
+  }
+
+  // Applicants answer staff questions from their DMs
+  if (action === "application_answer" || action === "application_answer_modal") {
+    const question = application.questions[Number(questionIndex)];
+    if (application.status !== "pending" || !question || question.answer) {
+      await interaction.reply({
+        content: "This question has already been answered or closed.",
+      });
+      return true;
+    }
+
+    if (action === "application_answer") {
+      await interaction.showModal(
+        buildTextModal(
+          `application_answer_modal:${id}:${questionIndex}`,
+          "Answer Staff",
+          "Your answer",
+          true,
+        ),
+      );
+      return true;
+    }
+
+    question.answer = interaction.fields.getTextInputValue("text");
+    question.answeredAt = Date.now();
+    saveApplication(application);
+    await refreshStaffMessage(interaction.client, application);
+
+    await interaction.update({
+      content: `${interaction.message.content}\n\n✅ Your answer was sent to staff.`,
+      components: [],
+    });
+    return true;
+  }
+
+  // Everything else is a staff decision
+  const denial = checkPermission(interaction.member, "staff");
+  if (denial) {
+    await sendDenial(interaction, denial);
+    return true;
+  }
+  if (application.status !== "pending") {
+    await interaction.reply({
+      content: "This application has already been decided.",
+      flags: "Ephemeral",
+    });
+    return true;
+  }
+
+  switch (action) {
+    case "application_accept":
+      await decideApplication(interaction, application, "accepted");
+      break;
+    case "application_deny":
+      await interaction.showModal(
+        buildTextModal(
+          `application_deny_modal:${id}`,
+          "Deny Application",
+          "Reason (sent to the applicant)",
+          false,
+        ),
+      );
+      break;
+    case "application_deny_modal":
+      await decideApplication(
+        interaction,
+        application,
+        "denied",
+        interaction.fields.getTextInputValue("text") || null,
+      );
+      break;
+    case "application_ask":
+      await interaction.showModal(
+        buildTextModal(
+          `application_ask_modal:${id}`,
+          "Ask the Applicant",
+          "Question (sent to the applicant)",
+          true,
+        ),
+      );
+      break;
+    case "application_ask_modal": {
+      const question = interaction.fields.getTextInputValue("text");
+      application.questions.push({
+        question,
+        askedBy: interaction.user.id,
+        askedAt: Date.now(),
+        answer: null,
+        answeredAt: null,
+      });
+      saveApplication(application);
+
+      await interaction.update({
+        embeds: [buildApplicationEmbed(application)],
+        components: [buildDecisionButtons(application)],
+      });
+
+      const answerButton = new ButtonBuilder()
+        .setCustomId(
+          `application_answer:${id}:${application.questions.length - 1}`,
+        )
+        .setLabel("Answer")
+        .setStyle(ButtonStyle.Primary);
+      const delivered = await notifyApplicant(interaction.client, application, {
+        content: `Staff reviewing your application to **${getConfiguredValue(interaction.guild, "hypixelGuild")}** asked:\n> ${question}`,
+        components: [new ActionRowBuilder().addComponents(answerButton)],
+      });
+      if (!delivered) {
+        await interaction.followUp({
+          content: `<@${application.applicantId}> could not be sent a DM with the question.`,
+          flags: "Ephemeral",
+        });
+      }
+      break;
+    }
+  }
+
+  return true;
+}
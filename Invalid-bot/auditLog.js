@@ -0,0 +1,265 @@
+import { EmbedBuilder, TimestampStyles, time } from "discord.js";
+import fs from "fs";
+import path from "path";
+import { DATA_DIR } from "./datastore.js";
+import { getConfiguredChannel } from "./guildConfig.js";
+
+// Every audit event is appended to this file as one JSON object per line
+const AUDIT_LOG_PATH = path.join(DATA_DIR, "audit.jsonl");
+
+// Audit events are read back from the end of the file this many bytes at a time
+const READ_CHUNK_SIZE = 64 * 1024;
+
+// How each event type is titled and coloured
+// Events are { type, at, guildId, userId, actorId, ...details } where userId is
+// the member the event is about and actorId whoever caused it (null for the bot)
+export const AUDIT_EVENT_TYPES = {
+  verify: { title: "✅ Verified", color: "#00FF00" },
+  verifyFailed: { title: "⚠️ Verification Failed", color: "#FF0000" },
+  unverify: { title: "❌ Unverified", color: "#FFFF00" },
+  reverify: { title: "🔁 Re-verified", color: "#00FF00" },
+  memberLeft: { title: "👋 Left Server", color: "#808080" },
+  unverifiedKick: { title: "👢 Kicked for Not Verifying", color: "#FF0000" },
+  roleChange: { title: "🔄 Roles Changed", color: "#99bcf7" },
+  staffCommand: { title: "🛠️ Staff Command", color: "#808080" },
+};
+
+// Function to append an event to the audit file
+async function appendAuditEvent(event) {
+  await fs.promises.mkdir(DATA_DIR, { recursive: true });
+  await fs.promises.appendFile(AUDIT_LOG_PATH, `${JSON.stringify(event)}\n`);
+}
+
+// Function to describe a role change list, e.g. "+ Angel, - Angel Lord"
+function describeRoleChanges(changes) {
+  return changes
+    .map((change) => `${change.action === "added" ? "+" : "-"} ${change.roleName}`)
+    .join(", ");
+}
+
+// Function to fit free text into an embed field, which holds 1024 characters
+function fieldText(text, fallback = "Unknown") {
+  return String(text || fallback).slice(0, 1024);
+}
+
+// Function to summarize an event in one line (used by /audit)
+export function describeAuditEvent(event) {
+  switch (event.type) {
+    case "verify":
+      return `Verified as **${event.minecraftName}** (\`${event.minecraftUuid}\`)`;
+    case "verifyFailed":
+      return `Failed to verify as **${event.minecraftName}**: ${event.reason}`;
+    case "reverify":
+      return `Re-verified as **${event.minecraftName}** (\`${event.minecraftUuid}\`)`;
+    case "unverify": {
+      const summary = event.minecraftName
+        ? `Unverified from **${event.minecraftName}**`
+        : "Unverified";
+      return event.reason ? `${summary}: ${event.reason}` : summary;
+    }
+    case "memberLeft":
+      return event.minecraftName
+        ? `Left the server; the link to **${event.minecraftName}** was archived`
+        : "Left the server; their link was archived";
+    case "unverifiedKick":
+      return `Kicked for not verifying within ${event.days} days`;
+    case "roleChange":
+      return `${describeRoleChanges(event.changes)} (${event.reason})`;
+    case "staffCommand":
+      return `<@${event.actorId}> used \`${event.input}\``;
+    default:
+      return event.type;
+  }
+}
+
+// Function to build the audit channel embed for an event
+export function buildAuditEmbed(event) {
+  const type = AUDIT_EVENT_TYPES[event.type];
+  const embed = new EmbedBuilder()
+    .setColor(type?.color || "#808080")
+    .setTitle(type?.title || event.type)
+    .setTimestamp(event.at);
+
+  if (event.userId) {
+    embed.addFields({ name: "Member", value: `<@${event.userId}>`, inline: true });
+  }
+  if (event.actorId && event.actorId !== event.userId) {
+    embed.addFields({ name: "By", value: `<@${event.actorId}>`, inline: true });
+  }
+
+  switch (event.type) {
+    case "verify":
+    case "reverify":
+      embed.addFields(
+        { name: "Minecraft", value: fieldText(event.minecraftName), inline: true },
+        { name: "UUID", value: fieldText(event.minecraftUuid), inline: false },
+        { name: "Hypixel Guild", value: fieldText(event.hypixelGuild, "No Guild"), inline: true },
+        { name: "Rank", value: fieldText(event.rank), inline: true },
+      );
+      break;
+    case "verifyFailed":
+      embed.addFields(
+        { name: "Minecraft", value: fieldText(event.minecraftName), inline: true },
+        { name: "Reason", value: fieldText(event.reason), inline: false },
+      );
+      break;
+    case "memberLeft":
+      embed.addFields(
+        { name: "Archived Link", value: fieldText(event.minecraftName), inline: true },
+        { name: "UUID", value: fieldText(event.minecraftUuid), inline: false },
+      );
+      break;
+    case "unverifiedKick":
+      embed.addFields({
+        name: "Reason",
+        value: `Not verified within ${event.days} days`,
+      });
+      break;
+    case "unverify":
+      embed.addFields(
+        { name: "Minecraft", value: fieldText(event.minecraftName), inline: true },
+        { name: "UUID", value: fieldText(event.minecraftUuid), inline: false },
+      );
+      if (event.reason) {
+        embed.addFields({ name: "Reason", value: fieldText(event.reason) });
+      }
+      break;
+    case "roleChange":
+      embed.addFields({ name: "Reason", value: fieldText(event.reason), inline: true });
+      if (event.changes.length) {
+        embed.addFields({
+          name: "Changes",
+          value: describeRoleChanges(event.changes).slice(0, 1024),
+        });
+      }
+      if (event.failures.length) {
+        embed.addFields({
+          name: "Failed",
+          value: describeRoleChanges(event.failures).slice(0, 1024),
+        });
+      }
+      break;
+    case "staffCommand":
+      embed.addFields(
+        { name: "Channel", value: `<#${event.channelId}>`, inline: true },
+        { name: "Command", value: `\`\`\`${event.input.slice(0, 1000)}\`\`\`` },
+      );
+      break;
+  }
+
+  return embed;
+}
+
+// Function to record an audit event: it is appended to the audit file and
+// posted to the audit channel if one is configured. Failures are only logged,
+// so auditing never interrupts the action being audited
+export async function logAuditEvent(guild, event) {
+  const entry = {
+    at: Date.now(),
+    guildId: guild.id,
+    userId: null,
+    actorId: null,
+    ...event,
+  };
+
+  try {
+    await appendAuditEvent(entry);
+  } catch (error) {
+    console.error("Failed to write audit event:", error);
+  }
+
+  const auditChannel = getConfiguredChannel(guild, "auditChannel");
+  if (!auditChannel) return;
+
+  try {
+    await auditChannel.send({
+      embeds: [buildAuditEmbed(entry)],
+      allowedMentions: { parse: [] },
+    });
+  } catch (error) {
+    console.error("Failed to post audit event:", error);
+  }
+}
+
+// Function to read the audit events matching a filter, newest first
+// The file only grows, so it is read backwards in chunks and reading stops once
+// enough events are found
+async function readAuditEvents(filter, limit) {
+  let file;
+  try {
+    file = await fs.promises.open(AUDIT_LOG_PATH, "r");
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const events = [];
+  const takeLine = (buffer) => {
+    const line = buffer.toString("utf-8").trim();
+    if (!line) return;
+
+    // A line cut short by a crash is skipped rather than failing the lookup
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      return;
+    }
+
+    if (filter(event)) events.push(event);
+  };
+
+  try {
+    let position = (await file.stat()).size;
+    // The start of the oldest line read so far, completed by the next chunk
+    let partial = Buffer.alloc(0);
+
+    while (position > 0 && events.length < limit) {
+      const size = Math.min(READ_CHUNK_SIZE, position);
+      position -= size;
+      const chunk = Buffer.alloc(size);
+      const { bytesRead } = await file.read(chunk, 0, size, position);
+      const buffer = Buffer.concat([chunk.subarray(0, bytesRead), partial]);
+
+      // Every line after a newline is complete, so take those newest first
+      let end = buffer.length;
+      let newline;
+      while (
+        events.length < limit &&
+        end > 0 &&
+        (newline = buffer.lastIndexOf(0x0a, end - 1)) !== -1
+      ) {
+        takeLine(buffer.subarray(newline + 1, end));
+        end = newline;
+      }
+      partial = buffer.subarray(0, end);
+    }
+
+    // The first line of the file has no newline before it
+    if (position === 0 && events.length < limit) takeLine(partial);
+  } finally {
+    await file.close();
+  }
+
+  return events;
+}
+
+// Function to read a server's audit events about or by a user, newest first
+export function getAuditEvents(guildId, userId, limit = 15) {
+  return readAuditEvents(
+    (event) =>
+      event.guildId === guildId &&
+      (event.userId === userId || event.actorId === userId),
+    limit,
+  );
+}
+
+// Function to read the latest audit events from every server, newest first
+export function getRecentAuditEvents(limit = 50) {
+  return readAuditEvents(() => true, limit);
+}
+
+// Function to format an audit event as a line with its relative time
+export function formatAuditLine(event) {
+  return `${time(new Date(event.at), TimestampStyles.RelativeTime)} ${AUDIT_EVENT_TYPES[event.type]?.title || event.type}: ${describeAuditEvent(event)}`;
+}
@@ -0,0 +1,246 @@
+import { createCanvas } from "canvas";
+import { getFaceRect, getPartSize } from "./skinTexture.js";
+
+// Default camera angles in degrees: turned slightly to show a side, looking down a bit
+export const DEFAULT_YAW = 30;
+export const DEFAULT_PITCH = 15;
+
+// Parts drawn for each render mode
+const MODE_PARTS = {
+  head: ["head"],
+  bust: ["head", "body", "rightArm", "leftArm"],
+  body: ["head", "body", "rightArm", "leftArm", "rightLeg", "leftLeg"],
+};
+
+// How far the outer layer sticks out past the base layer, in skin pixels
+// (Minecraft inflates the hat by 0.5px and the jacket, sleeves and pants by 0.25px)
+const OVERLAY_INFLATE = { head: 0.5, body: 0.25, limb: 0.25 };
+
+// Function to get the model-space box and limb pivot of a part, in skin pixels
+// The model stands on y = 0 facing +z; its right side is -x (the viewer's left)
+function getPartBox(part, slim) {
+  const [width, height, depth] = getPartSize(part, slim);
+
+  switch (part) {
+    case "head":
+      return { x: -4, y: 24, z: -4, width, height, depth, pivot: null };
+    case "body":
+      return { x: -4, y: 12, z: -2, width, height, depth, pivot: null };
+    case "rightArm":
+      return { x: -4 - width, y: 12, z: -2, width, height, depth, pivot: [22, 0] };
+    case "leftArm":
+      return { x: 4, y: 12, z: -2, width, height, depth, pivot: [22, 0] };
+    case "rightLeg":
+      return { x: -4, y: 0, z: -2, width, height, depth, pivot: [12, 0] };
+    case "leftLeg":
+      return { x: 0, y: 0, z: -2, width, height, depth, pivot: [12, 0] };
+  }
+}
+
+// Function to get how far a part swings (radians) at a point of the walk cycle
+// Legs swing opposite each other, and each arm opposite the leg on its side
+function getSwing(part, walkCycle) {
+  if (part === "rightLeg" || part === "leftArm") return walkCycle;
+  if (part === "leftLeg" || part === "rightArm") return -walkCycle;
+  return 0;
+}
+
+// Function to list the six faces of a box as an origin corner plus the edges
+// along the texture's u (across) and v (down) directions, matching the skin unwrap
+function getBoxFaces(x0, y0, z0, x1, y1, z1) {
+  return {
+    front: { origin: [x0, y1, z1], u: [x1 - x0, 0, 0], v: [0, y0 - y1, 0] },
+    back: { origin: [x1, y1, z0], u: [x0 - x1, 0, 0], v: [0, y0 - y1, 0] },
+    right: { origin: [x0, y1, z0], u: [0, 0, z1 - z0], v: [0, y0 - y1, 0] },
+    left: { origin: [x1, y1, z1], u: [0, 0, z0 - z1], v: [0, y0 - y1, 0] },
+    top: { origin: [x0, y1, z0], u: [x1 - x0, 0, 0], v: [0, 0, z1 - z0] },
+    bottom: { origin: [x0, y0, z1], u: [x1 - x0, 0, 0], v: [0, 0, z0 - z1] },
+  };
+}
+
+// Function to rotate a point around the x axis through (y, z) = pivot
+function rotateX([x, y, z], angle, [pivotY, pivotZ] = [0, 0]) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const dy = y - pivotY;
+  const dz = z - pivotZ;
+  return [x, pivotY + dy * cos - dz * sin, pivotZ + dy * sin + dz * cos];
+}
+
+// Function to rotate a point around the y axis
+function rotateY([x, y, z], angle) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return [x * cos + z * sin, y, -x * sin + z * cos];
+}
+
+const add = (a, b) => [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+const subtract = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+
+// Function to project every visible face of the requested parts
+// Returns faces in camera space (x right, y down, z towards the viewer), sorted
+// back to front so they can be painted in order
+function projectFaces(skin, { mode, yaw, pitch, walkCycle }) {
+  const yawRadians = (yaw * Math.PI) / 180;
+  const pitchRadians = (pitch * Math.PI) / 180;
+  const faces = [];
+
+  for (const part of MODE_PARTS[mode]) {
+    const box = getPartBox(part, skin.slim);
+    const swing = getSwing(part, walkCycle);
+
+    for (const layer of ["base", "overlay"]) {
+      const inflate =
+        layer === "overlay" ? (OVERLAY_INFLATE[part] ?? OVERLAY_INFLATE.limb) : 0;
+      const boxFaces = getBoxFaces(
+        box.x - inflate,
+        box.y - inflate,
+        box.z - inflate,
+        box.x + box.width + inflate,
+        box.y + box.height + inflate,
+        box.z + box.depth + inflate,
+      );
+
+      for (const [face, { origin, u, v }] of Object.entries(boxFaces)) {
+        // Model space -> limb swing -> camera yaw and pitch; y flips for the screen
+        const toCamera = (point) => {
+          let result = box.pivot ? rotateX(point, swing, box.pivot) : point;
+          result = rotateX(rotateY(result, yawRadians), pitchRadians);
+          return [result[0], -result[1], result[2]];
+        };
+
+        const corner = toCamera(origin);
+        const uEdge = subtract(toCamera(add(origin, u)), corner);
+        const vEdge = subtract(toCamera(add(origin, v)), corner);
+
+        // Skip faces pointing away from the camera (v x u is the outward normal,
+        // and the y flip above mirrors the handedness)
+        const normalZ = uEdge[0] * vEdge[1] - uEdge[1] * vEdge[0];
+        if (normalZ <= 0) continue;
+
+        faces.push({
+          rect: getFaceRect(part, face, layer, skin.slim),
+          corner,
+          uEdge,
+          vEdge,
+          depth: corner[2] + (uEdge[2] + vEdge[2]) / 2,
+          layer,
+        });
+      }
+    }
+  }
+
+  // Paint far faces first; on a tie the outer layer goes on top
+  return faces.sort(
+    (a, b) => a.depth - b.depth || (a.layer === "overlay") - (b.layer === "overlay"),
+  );
+}
+
+// Function to get the screen-space bounds of projected faces, in skin pixels
+function getBounds(faces) {
+  const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+
+  for (const { corner, uEdge, vEdge } of faces) {
+    for (const [x, y] of [
+      corner,
+      add(corner, uEdge),
+      add(corner, vEdge),
+      add(add(corner, uEdge), vEdge),
+    ]) {
+      bounds.minX = Math.min(bounds.minX, x);
+      bounds.minY = Math.min(bounds.minY, y);
+      bounds.maxX = Math.max(bounds.maxX, x);
+      bounds.maxY = Math.max(bounds.maxY, y);
+    }
+  }
+
+  return bounds;
+}
+
+// Function to paint projected faces; each texture rectangle is mapped onto its
+// on-screen parallelogram with an affine transform and nearest-neighbour sampling
+function paintFaces(ctx, skin, faces, scale, offsetX, offsetY) {
+  const smoothing = ctx.imageSmoothingEnabled;
+  ctx.imageSmoothingEnabled = false;
+
+  for (const { rect, corner, uEdge, vEdge } of faces) {
+    ctx.save();
+    ctx.transform(
+      (uEdge[0] / rect.width) * scale,
+      (uEdge[1] / rect.width) * scale,
+      (vEdge[0] / rect.height) * scale,
+      (vEdge[1] / rect.height) * scale,
+      offsetX + corner[0] * scale,
+      offsetY + corner[1] * scale,
+    );
+    // Overdraw by a hair so neighbouring faces leave no seams
+    ctx.drawImage(
+      skin.texture,
+      rect.x,
+      rect.y,
+      rect.width,
+      rect.height,
+      -0.02,
+      -0.02,
+      rect.width + 0.04,
+      rect.height + 0.04,
+    );
+    ctx.restore();
+  }
+
+  ctx.imageSmoothingEnabled = smoothing;
+}
+
+// Function to draw an avatar onto an existing canvas with the model's feet
+// centered at x, y
+// Options: mode (head|bust|body), yaw and pitch in degrees, scale in screen
+// pixels per skin pixel, and walkCycle (limb swing in radians)
+export function drawAvatar(
+  ctx,
+  skin,
+  {
+    x,
+    y,
+    mode = "body",
+    yaw = DEFAULT_YAW,
+    pitch = DEFAULT_PITCH,
+    scale = 10,
+    walkCycle = 0,
+  },
+) {
+  const faces = projectFaces(skin, { mode, yaw, pitch, walkCycle });
+  paintFaces(ctx, skin, faces, scale, x, y);
+}
+
+// Function to render an avatar on its own transparent canvas, cropped to fit
+// Takes the same options as drawAvatar (minus the position) plus padding in px
+export function renderAvatar(
+  skin,
+  {
+    mode = "body",
+    yaw = DEFAULT_YAW,
+    pitch = DEFAULT_PITCH,
+    scale = 10,
+    walkCycle = 0,
+    padding = 10,
+  } = {},
+) {
+  const faces = projectFaces(skin, { mode, yaw, pitch, walkCycle });
+  const bounds = getBounds(faces);
+
+  const canvas = createCanvas(
+    Math.ceil((bounds.maxX - bounds.minX) * scale + padding * 2),
+    Math.ceil((bounds.maxY - bounds.minY) * scale + padding * 2),
+  );
+  const ctx = canvas.getContext("2d");
+  paintFaces(
+    ctx,
+    skin,
+    faces,
+    scale,
+    padding - bounds.minX * scale,
+    padding - bounds.minY * scale,
+  );
+
+  return canvas;
+}
@@ -0,0 +1,332 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ChannelType,
+  ComponentType,
+  EmbedBuilder,
+  ModalBuilder,
+  SlashCommandBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  embedLength,
+} from "discord.js";
+
+// How long staff have to fill in the modal and to confirm a preview
+const MODAL_TIMEOUT_MS = 15 * 60 * 1000;
+const PREVIEW_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Discord limits for an embed's total text and a button label
+const EMBED_CHARACTER_LIMIT = 6000;
+const BUTTON_LABEL_LIMIT = 80;
+
+// Colour used when none is given
+const DEFAULT_COLOR = "#99bcf7";
+
+// Channels announcements can be posted in
+const ANNOUNCEMENT_CHANNEL_TYPES = [
+  ChannelType.GuildText,
+  ChannelType.GuildAnnouncement,
+];
+
+// Function to build the embed editor modal, prefilled from an existing embed
+function buildAnnouncementModal(customId, embed = null) {
+  const input = (id, label, style, maxLength, value, placeholder) => {
+    const textInput = new TextInputBuilder()
+      .setCustomId(id)
+      .setLabel(label)
+      .setStyle(style)
+      .setMaxLength(maxLength)
+      .setRequired(false);
+    if (value) textInput.setValue(value.slice(0, maxLength));
+    if (placeholder) textInput.setPlaceholder(placeholder);
+    return new ActionRowBuilder().addComponents(textInput);
+  };
+
+  const fields = (embed?.fields || [])
+    .map((field) => `${field.name} | ${field.value.replace(/\n/g, " ")}`)
+    .join("\n");
+
+  return new ModalBuilder()
+    .setCustomId(customId)
+    .setTitle(embed ? "Edit Announcement" : "New Announcement")
+    .addComponents(
+      input("title", "Title", TextInputStyle.Short, 256, embed?.title),
+      input(
+        "description",
+        "Text",
+        TextInputStyle.Paragraph,
+        4000,
+        embed?.description,
+      ),
+      input(
+        "color",
+        "Colour (hex)",
+        TextInputStyle.Short,
+        7,
+        embed?.hexColor,
+        DEFAULT_COLOR,
+      ),
+      input("image", "Image URL", TextInputStyle.Short, 500, embed?.image?.url),
+      input(
+        "fields",
+        "Fields (one per line: Name | Value)",
+        TextInputStyle.Paragraph,
+        4000,
+        fields,
+        "Event | Saturday 8pm\nPrize | 10k coins",
+      ),
+    );
+}
+
+// Function to build an announcement embed from the modal's answers
+// Returns { embed } or { error } when an answer can't be used
+function buildAnnouncementEmbed(fields) {
+  const title = fields.getTextInputValue("title").trim();
+  const description = fields.getTextInputValue("description").trim();
+  const color = fields.getTextInputValue("color").trim() || DEFAULT_COLOR;
+  const image = fields.getTextInputValue("image").trim();
+  const fieldLines = fields
+    .getTextInputValue("fields")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  if (!/^#?[0-9a-f]{6}$/i.test(color)) {
+    return { error: `\`${color}\` is not a hex colour like \`#99bcf7\`.` };
+  }
+  if (image && !/^https?:\/\/\S+$/i.test(image)) {
+    return { error: "The image must be an http(s) link." };
+  }
+  if (fieldLines.length > 25) {
+    return { error: "An announcement can have at most 25 fields." };
+  }
+
+  const embedFields = [];
+  for (const line of fieldLines) {
+    const separator = line.indexOf("|");
+    const name = separator === -1 ? "" : line.slice(0, separator).trim();
+    const value = separator === -1 ? "" : line.slice(separator + 1).trim();
+    if (!name || !value) {
+      return { error: `The field \`${line}\` needs a name and a value separated by \`|\`.` };
+    }
+    embedFields.push({ name: name.slice(0, 256), value: value.slice(0, 1024) });
+  }
+
+  if (!title && !description && !embedFields.length) {
+    return { error: "An announcement needs a title, text or at least one field." };
+  }
+
+  const length = embedLength({ title, description, fields: embedFields });
+  if (length > EMBED_CHARACTER_LIMIT) {
+    return {
+      error: `An announcement can have at most ${EMBED_CHARACTER_LIMIT} characters across its title, text and fields (this one has ${length}).`,
+    };
+  }
+
+  const embed = new EmbedBuilder().setColor(
+    color.startsWith("#") ? color : `#${color}`,
+  );
+  if (title) embed.setTitle(title);
+  if (description) embed.setDescription(description);
+  if (image) embed.setImage(image);
+  if (embedFields.length) embed.addFields(embedFields);
+
+  return { embed };
+}
+
+// Function to build the message content and mention rules for a role ping
+function buildRolePing(guild, role) {
+  if (!role) return { content: undefined, allowedMentions: { parse: [] } };
+
+  // @everyone is the role sharing the server's ID
+  if (role.id === guild.id) {
+    return { content: "@everyone", allowedMentions: { parse: ["everyone"] } };
+  }
+  return { content: `${role}`, allowedMentions: { roles: [role.id] } };
+}
+
+// Function to fetch a message the bot posted, by channel and message ID
+// Returns { message } or { error } when it can't be used
+async function fetchBotMessage(channel, messageId, botId) {
+  const message = await channel.messages.fetch(messageId).catch(() => null);
+  if (!message) {
+    return { error: `No message with ID \`${messageId}\` was found in ${channel}.` };
+  }
+  if (message.author.id !== botId) {
+    return { error: "That message was not posted by the bot." };
+  }
+  return { message };
+}
+
+// Function to show the embed editor, then a preview that staff confirm.
+// `publish(embed)` posts or saves the announcement and returns a status line
+async function runAnnouncementEditor(context, { existingEmbed, confirmLabel, ping, publish }) {
+  const { interaction } = context;
+  const modalId = `announce_modal:${interaction.id}`;
+  await interaction.showModal(buildAnnouncementModal(modalId, existingEmbed));
+
+  const submission = await interaction
+    .awaitModalSubmit({
+      filter: (modal) => modal.customId === modalId && modal.user.id === context.user.id,
+      time: MODAL_TIMEOUT_MS,
+    })
+    .catch(() => null);
+  if (!submission) return;
+
+  const { embed, error } = buildAnnouncementEmbed(submission.fields);
+  if (error) {
+    return submission.reply({ content: `❌ ${error}`, flags: "Ephemeral" });
+  }
+
+  const buttons = (disabled = false) =>
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId("announce_confirm")
+        .setLabel(confirmLabel)
+        .setStyle(ButtonStyle.Success)
+        .setDisabled(disabled),
+      new ButtonBuilder()
+        .setCustomId("announce_cancel")
+        .setLabel("Cancel")
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(disabled),
+    );
+
+  const preview = await submission.reply({
+    content: `**Preview**${ping ? ` (pings ${ping})` : ""}:`,
+    embeds: [embed],
+    components: [buttons()],
+    flags: "Ephemeral",
+    allowedMentions: { parse: [] },
+    withResponse: true,
+  });
+
+  const choice = await preview.resource.message
+    .awaitMessageComponent({
+      componentType: ComponentType.Button,
+      time: PREVIEW_TIMEOUT_MS,
+    })
+    .catch(() => null);
+  if (!choice) {
+    return submission
+      .editReply({ content: "Preview expired, nothing was changed.", components: [buttons(true)] })
+      .catch(() => {});
+  }
+
+  if (choice.customId === "announce_cancel") {
+    return choice.update({ content: "Cancelled.", embeds: [], components: [] });
+  }
+
+  await choice.deferUpdate();
+  let status;
+  try {
+    status = await publish(embed);
+  } catch (error) {
+    console.error("Failed to publish announcement:", error);
+    status = `❌ Failed: ${error.message}`;
+  }
+  await choice.editReply({ content: status, embeds: [], components: [] });
+}
+
+// /announce send|edit|delete builds embed announcements (an embed version of !ha)
+export default {
+  data: new SlashCommandBuilder()
+    .setName("announce")
+    .setDescription("Post, edit or delete embed announcements")
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("send")
+        .setDescription("Build an announcement, preview it and post it")
+        .addChannelOption((option) =>
+          option
+            .setName("channel")
+            .setDescription("Where to post it (default: this channel)")
+            .addChannelTypes(...ANNOUNCEMENT_CHANNEL_TYPES),
+        )
+        .addRoleOption((option) =>
+          option.setName("ping").setDescription("Role to ping with the announcement"),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("edit")
+        .setDescription("Edit an announcement the bot posted")
+        .addStringOption((option) =>
+          option
+            .setName("message_id")
+            .setDescription("ID of the announcement message")
+            .setRequired(true),
+        )
+        .addChannelOption((option) =>
+          option
+            .setName("channel")
+            .setDescription("Channel the announcement is in (default: this channel)")
+            .addChannelTypes(...ANNOUNCEMENT_CHANNEL_TYPES),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("delete")
+        .setDescription("Delete a message the bot posted")
+        .addStringOption((option) =>
+          option
+            .setName("message_id")
+            .setDescription("ID of the message")
+            .setRequired(true),
+        )
+        .addChannelOption((option) =>
+          option
+            .setName("channel")
+            .setDescription("Channel the message is in (default: this channel)")
+            .addChannelTypes(...ANNOUNCEMENT_CHANNEL_TYPES),
+        ),
+    ),
+  permission: "staff",
+  async execute(context) {
+    const subcommand = context.options.getSubcommand();
+    const channel = context.options.getChannel("channel") || context.channel;
+    const botId = context.client.user.id;
+
+    if (subcommand === "send") {
+      const role = context.options.getRole("ping");
+      const { content, allowedMentions } = buildRolePing(context.guild, role);
+
+      return runAnnouncementEditor(context, {
+        existingEmbed: null,
+        confirmLabel: `Post in #${channel.name}`.slice(0, BUTTON_LABEL_LIMIT),
+        ping: content || null,
+        publish: async (embed) => {
+          const message = await channel.send({ content, embeds: [embed], allowedMentions });
+          return `✅ Posted in ${channel} (message ID \`${message.id}\`).`;
+        },
+      });
+    }
+
+    const messageId = context.options.getString("message_id").trim();
+    const { message, error } = await fetchBotMessage(channel, messageId, botId);
+    if (error) {
+      return context.reply({ content: `❌ ${error}`, flags: "Ephemeral" });
+    }
+
+    if (subcommand === "edit") {
+      return runAnnouncementEditor(context, {
+        existingEmbed: message.embeds[0] || null,
+        confirmLabel: "Save changes",
+        ping: null,
+        publish: async (embed) => {
+          await message.edit({ embeds: [embed] });
+          return `✅ Updated ${message.url}.`;
+        },
+      });
+    }
+
+    if (subcommand === "delete") {
+      await message.delete();
+      return context.reply({
+        content: `🗑️ Deleted message \`${messageId}\` from ${channel}.`,
+        flags: "Ephemeral",
+      });
+    }
+  },
+};
@@ -0,0 +1,52 @@
+import { SlashCommandBuilder, TimestampStyles, time } from "discord.js";
+import { buildApplicationEmbed } from "../applications.js";
+import { getApplicationsFor } from "../applicationStorage.js";
+
+// Status labels for the application history list
+const STATUS_LABELS = {
+  pending: "⏳ Pending",
+  accepted: "✅ Accepted",
+  denied: "❌ Denied",
+};
+
+// /applications @member shows a member's past guild applications and outcomes
+export default {
+  data: new SlashCommandBuilder()
+    .setName("applications")
+    .setDescription("Look up a member's guild applications")
+    .addUserOption((option) =>
+      option
+        .setName("member")
+        .setDescription("The member to look up")
+        .setRequired(true),
+    ),
+  permission: "staff",
+  async execute(context) {
+    const user = context.options.getUser("member");
+    const history = getApplicationsFor(context.guild.id, user.id);
+
+    if (!history.length) {
+      return context.reply({
+        content: `${user} has never applied.`,
+        flags: "Ephemeral",
+        allowedMentions: { parse: [] },
+      });
+    }
+
+    // Full details of the latest application, plus a line for each earlier one
+    const [latest, ...earlier] = history;
+    const lines = earlier.map(
+      (application) =>
+        `${STATUS_LABELS[application.status]}: **${application.minecraftName}**, ${time(new Date(application.submittedAt), TimestampStyles.ShortDate)}`,
+    );
+
+    return context.reply({
+      content: lines.length
+        ? `Earlier applications from ${user}:\n${lines.join("\n")}`.slice(0, 2000)
+        : undefined,
+      embeds: [buildApplicationEmbed(latest)],
+      flags: "Ephemeral",
+      allowedMentions: { parse: [] },
+    });
+  },
+};
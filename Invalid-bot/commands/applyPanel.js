@@ -0,0 +1,51 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  SlashCommandBuilder,
+} from "discord.js";
+import { getConfiguredValue } from "../guildConfig.js";
+
+// /apply-panel (legacy: !applybutton) posts the guild application button
+export default {
+  data: new SlashCommandBuilder()
+    .setName("apply-panel")
+    .setDescription("Post the guild application button in this channel"),
+  prefix: "applybutton",
+  permission: "staff",
+  async execute(context) {
+    // Delete the user's command message
+    if (context.message) {
+      await context.message.delete().catch((error) => {
+        console.error("Failed to delete message:", error);
+      });
+    }
+
+    const hypixelGuildName = getConfiguredValue(context.guild, "hypixelGuild");
+    const embed = new EmbedBuilder()
+      .setColor("#99bcf7")
+      .setTitle(`📝 Apply to ${hypixelGuildName}`)
+      .setDescription(
+        "Want to join the guild? Press **Apply** and fill in the form. Your stats are checked automatically and staff will DM you with their decision.",
+      );
+
+    // Create a blue "Apply" button
+    const applyButton = new ButtonBuilder()
+      .setCustomId("apply_button")
+      .setLabel("Apply")
+      .setStyle(ButtonStyle.Primary);
+
+    await context.channel.send({
+      embeds: [embed],
+      components: [new ActionRowBuilder().addComponents(applyButton)],
+    });
+
+    if (context.interaction) {
+      await context.reply({
+        content: "Application panel posted.",
+        flags: "Ephemeral",
+      });
+    }
+  },
+};
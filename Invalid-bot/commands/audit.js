@@ -0,0 +1,56 @@
+import { EmbedBuilder, SlashCommandBuilder } from "discord.js";
+import { formatAuditLine, getAuditEvents } from "../auditLog.js";
+
+// Most events /audit lists at once
+const MAX_EVENTS = 25;
+
+// /audit @member lists the latest audit events about or by a member
+export default {
+  data: new SlashCommandBuilder()
+    .setName("audit")
+    .setDescription("Show the audit log for a member")
+    .addUserOption((option) =>
+      option
+        .setName("member")
+        .setDescription("The member to look up")
+        .setRequired(true),
+    )
+    .addIntegerOption((option) =>
+      option
+        .setName("limit")
+        .setDescription(`How many events to show (default 15, up to ${MAX_EVENTS})`)
+        .setMinValue(1)
+        .setMaxValue(MAX_EVENTS),
+    ),
+  permission: "staff",
+  async execute(context) {
+    const user = context.options.getUser("member");
+    const limit = context.options.getInteger("limit") ?? 15;
+
+    const events = await getAuditEvents(context.guild.id, user.id, limit);
+    if (!events.length) {
+      return context.reply({
+        content: `No audit events recorded for ${user}.`,
+        flags: "Ephemeral",
+        allowedMentions: { parse: [] },
+      });
+    }
+
+    // Keep whole lines within the embed description limit
+    let description = "";
+    for (const event of events) {
+      const line = `${formatAuditLine(event)}\n`;
+      if (description.length + line.length > 4096) break;
+      description += line;
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor("#99bcf7")
+      .setTitle(`📜 Audit Log for ${user.username}`)
+      .setDescription(description)
+      .setFooter({ text: `Latest ${events.length} events, newest first` })
+      .setTimestamp();
+
+    return context.reply({ embeds: [embed], flags: "Ephemeral" });
+  },
+};
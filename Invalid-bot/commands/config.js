@@ -0,0 +1,151 @@
+import { ChannelType, EmbedBuilder, SlashCommandBuilder } from "discord.js";
+import {
+  SETTINGS,
+  getConfiguredChannel,
+  getConfiguredRole,
+  getConfiguredValue,
+  getGuildConfig,
+  resetGuildSetting,
+  setGuildSetting,
+  validateSetting,
+} from "../guildConfig.js";
+
+// Setting choices shared by the set and reset subcommands
+const settingChoices = Object.entries(SETTINGS).map(([key, setting]) => ({
+  name: setting.label,
+  value: key,
+}));
+
+// Function to describe the current value of a setting for the view embed
+function describeSetting(guild, key) {
+  const setting = SETTINGS[key];
+  const isSet = getGuildConfig(guild.id)[key] !== undefined;
+
+  if (setting.type === "text") {
+    const value = getConfiguredValue(guild, key);
+    return isSet ? value : `${value} (default)`;
+  }
+
+  const resolved =
+    setting.type === "role"
+      ? getConfiguredRole(guild, key)
+      : getConfiguredChannel(guild, key);
+
+  if (!resolved) {
+    if (isSet) return "⚠️ Configured but no longer exists";
+    return setting.defaultName
+      ? `⚠️ Not set, and no ${setting.type} named "${setting.defaultName}"`
+      : "Not set";
+  }
+
+  return isSet ? `${resolved}` : `${resolved} (matched by default name)`;
+}
+
+// /config view|set|reset manages this server's roles, channels and Hypixel guild
+export default {
+  data: new SlashCommandBuilder()
+    .setName("config")
+    .setDescription("View or change the bot configuration for this server")
+    .addSubcommand((subcommand) =>
+      subcommand.setName("view").setDescription("Show the current configuration"),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("set")
+        .setDescription("Change a setting")
+        .addStringOption((option) =>
+          option
+            .setName("setting")
+            .setDescription("The setting to change")
+            .setRequired(true)
+            .addChoices(...settingChoices),
+        )
+        .addRoleOption((option) =>
+          option.setName("role").setDescription("New role (for role settings)"),
+        )
+        .addChannelOption((option) =>
+          option
+            .setName("channel")
+            .setDescription("New channel (for channel settings)")
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("value")
+            .setDescription("New value (for text settings)")
+            .setMaxLength(1000),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("reset")
+        .setDescription("Reset a setting (or everything) to the default")
+        .addStringOption((option) =>
+          option
+            .setName("setting")
+            .setDescription("The setting to reset (leave empty to reset all)")
+            .addChoices(...settingChoices),
+        ),
+    ),
+  permission: "staff",
+  async execute(context) {
+    const { guild, options } = context;
+    const subcommand = options.getSubcommand();
+
+    if (subcommand === "view") {
+      const embed = new EmbedBuilder()
+        .setColor("#99bcf7")
+        .setTitle(`⚙️ Configuration for ${guild.name}`)
+        .addFields(
+          Object.entries(SETTINGS).map(([key, setting]) => ({
+            name: setting.label,
+            value: describeSetting(guild, key).slice(0, 1024),
+            inline: true,
+          })),
+        )
+        .setTimestamp();
+
+      return context.reply({ embeds: [embed], flags: "Ephemeral" });
+    }
+
+    if (subcommand === "set") {
+      const key = options.getString("setting");
+      const setting = SETTINGS[key];
+
+      let value = null;
+      if (setting.type === "role") value = options.getRole("role")?.id;
+      if (setting.type === "channel") value = options.getChannel("channel")?.id;
+      if (setting.type === "text") value = options.getString("value")?.trim();
+
+      if (!value) {
+        return context.reply({
+          content: `Please provide the \`${setting.type === "text" ? "value" : setting.type}\` option to change the ${setting.label.toLowerCase()}.`,
+          flags: "Ephemeral",
+        });
+      }
+
+      const error = setting.type === "text" && validateSetting(key, value);
+      if (error) {
+        return context.reply({ content: `❌ ${error}`, flags: "Ephemeral" });
+      }
+
+      setGuildSetting(guild.id, key, value);
+      return context.reply({
+        content: `${setting.label} set to ${describeSetting(guild, key)}.`,
+        flags: "Ephemeral",
+      });
+    }
+
+    if (subcommand === "reset") {
+      const key = options.getString("setting");
+      resetGuildSetting(guild.id, key);
+
+      return context.reply({
+        content: key
+          ? `${SETTINGS[key].label} reset to the default.`
+          : "All settings reset to the defaults.",
+        flags: "Ephemeral",
+      });
+    }
+  },
+};
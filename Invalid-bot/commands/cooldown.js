@@ -0,0 +1,58 @@
+import { SlashCommandBuilder, TimestampStyles, time } from "discord.js";
+import { clearCooldown, getCooldown } from "../storage.js";
+
+// /cooldown view|clear @user inspects or lifts a member's verification cooldown
+export default {
+  data: new SlashCommandBuilder()
+    .setName("cooldown")
+    .setDescription("View or clear a member's verification cooldown")
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("view")
+        .setDescription("Show a member's cooldown")
+        .addUserOption((option) =>
+          option
+            .setName("user")
+            .setDescription("The member to check")
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("clear")
+        .setDescription("Clear a member's cooldown")
+        .addUserOption((option) =>
+          option
+            .setName("user")
+            .setDescription("The member to clear")
+            .setRequired(true),
+        ),
+    ),
+  permission: "staff",
+  async execute(context) {
+    const subcommand = context.options.getSubcommand();
+    const user = context.options.getUser("user");
+
+    if (subcommand === "view") {
+      const expiresAt = getCooldown(user.id);
+      return context.reply({
+        content: expiresAt
+          ? `${user} is on cooldown until ${time(new Date(expiresAt), TimestampStyles.LongDateTime)} (${time(new Date(expiresAt), TimestampStyles.RelativeTime)}).`
+          : `${user} has no active cooldown.`,
+        flags: "Ephemeral",
+        allowedMentions: { parse: [] },
+      });
+    }
+
+    if (subcommand === "clear") {
+      const hadCooldown = clearCooldown(user.id);
+      return context.reply({
+        content: hadCooldown
+          ? `Cleared the cooldown for ${user}.`
+          : `${user} had no active cooldown.`,
+        flags: "Ephemeral",
+        allowedMentions: { parse: [] },
+      });
+    }
+  },
+};
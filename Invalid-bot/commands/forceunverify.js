@@ -0,0 +1,46 @@
+import { SlashCommandBuilder } from "discord.js";
+import { revokeVerification } from "../verification.js";
+
+// /forceunverify @member [reason] removes a member's link and verified roles
+export default {
+  data: new SlashCommandBuilder()
+    .setName("forceunverify")
+    .setDescription("Unverify a member and remove their verified roles")
+    .addUserOption((option) =>
+      option
+        .setName("member")
+        .setDescription("The member to unverify")
+        .setRequired(true),
+    )
+    .addStringOption((option) =>
+      option
+        .setName("reason")
+        .setDescription("Why they are being unverified")
+        .setMaxLength(200),
+    ),
+  permission: "staff",
+  async execute(context) {
+    const member = context.options.getMember("member");
+    const reason = context.options.getString("reason");
+    if (!member) {
+      return context.reply({
+        content: "That member is not in this server.",
+        flags: "Ephemeral",
+      });
+    }
+
+    await context.deferReply({ flags: "Ephemeral" });
+
+    const link = await revokeVerification(member, {
+      actorId: context.user.id,
+      reason,
+    });
+
+    return context.editReply({
+      content: link?.minecraftName
+        ? `✅ ${member} was unverified from **${link.minecraftName}**.`
+        : `✅ ${member} had no linked account; their verified roles were removed.`,
+      allowedMentions: { parse: [] },
+    });
+  },
+};
@@ -0,0 +1,111 @@
+import { SlashCommandBuilder } from "discord.js";
+import {
+  NotFoundError,
+  describeApiError,
+  getHypixelGuildData,
+  getHypixelPlayerData,
+  getMojangProfile,
+} from "../api.js";
+import { matchesDiscordLink } from "../hypixel.js";
+import { clearCooldown, findLinkByUuid } from "../storage.js";
+import { applyVerification } from "../verification.js";
+
+// /forceverify @member <name> links a member to a Minecraft account for them,
+// without the Hypixel social link check. The UUID must still resolve; Hypixel
+// data is used when it can be fetched, and guild roles are left alone when not
+export default {
+  data: new SlashCommandBuilder()
+    .setName("forceverify")
+    .setDescription("Verify a member as a Minecraft account without the Discord link check")
+    .addUserOption((option) =>
+      option
+        .setName("member")
+        .setDescription("The member to verify")
+        .setRequired(true),
+    )
+    .addStringOption((option) =>
+      option
+        .setName("name")
+        .setDescription("Their Minecraft username")
+        .setRequired(true),
+    ),
+  permission: "staff",
+  async execute(context) {
+    const member = context.options.getMember("member");
+    const minecraftName = context.options.getString("name");
+    if (!member) {
+      return context.reply({
+        content: "That member is not in this server.",
+        flags: "Ephemeral",
+      });
+    }
+
+    await context.deferReply({ flags: "Ephemeral" });
+
+    // The account has to exist, so resolve it with Mojang first
+    let profile;
+    try {
+      profile = await getMojangProfile(minecraftName);
+    } catch (error) {
+      return context.editReply({
+        content: describeApiError(
+          error,
+          `No Minecraft account named **${minecraftName}** exists.`,
+        ),
+      });
+    }
+
+    const existingLink = findLinkByUuid(profile.id);
+    if (existingLink && existingLink.discordId !== member.id) {
+      return context.editReply({
+        content: `**${profile.name}** is already linked to <@${existingLink.discordId}>. Use /forceunverify on them first.`,
+        allowedMentions: { parse: [] },
+      });
+    }
+
+    // Hypixel lookups are best effort: undefined means the lookup failed
+    const notes = [];
+    let playerData;
+    try {
+      playerData = await getHypixelPlayerData(profile.id);
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        playerData = null;
+        notes.push(`**${profile.name}** has never joined Hypixel.`);
+      } else {
+        notes.push(`Hypixel player lookup failed: ${describeApiError(error)}`);
+      }
+    }
+
+    let guildData;
+    try {
+      guildData = await getHypixelGuildData(profile.id);
+    } catch (error) {
+      notes.push(`Guild roles were left unchanged: ${describeApiError(error)}`);
+    }
+
+    const linkedDiscord = playerData?.socialMedia?.links?.DISCORD;
+    if (playerData && !matchesDiscordLink(linkedDiscord, member.user)) {
+      notes.push("Their Hypixel Discord link does not match (check skipped).");
+    }
+
+    const record = await applyVerification(
+      member,
+      { minecraftName: profile.name, uuid: profile.id, playerData, guildData },
+      {
+        welcome: true,
+        actorId: context.user.id,
+        reason: `Force-verified by ${context.user.tag}`,
+      },
+    );
+    clearCooldown(member.id);
+
+    return context.editReply({
+      content: [
+        `✅ ${member} is now verified as **${record.minecraftName}** (\`${record.minecraftUuid}\`).`,
+        ...notes.map((note) => `⚠️ ${note}`),
+      ].join("\n"),
+      allowedMentions: { parse: [] },
+    });
+  },
+};
@@ -0,0 +1,181 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ComponentType,
+  EmbedBuilder,
+  SlashCommandBuilder,
+  TimestampStyles,
+  time,
+} from "discord.js";
+import {
+  NotFoundError,
+  describeApiError,
+  getHypixelGuildByName,
+  getUsernameFromUUID,
+} from "../api.js";
+import { getConfiguredValue } from "../guildConfig.js";
+import { calculateGuildLevel, getWeeklyGuildExp } from "../hypixel.js";
+import { findLinkByUuid } from "../storage.js";
+
+// Leaderboard entries per page, and how long the page buttons keep working
+const PAGE_SIZE = 10;
+const PAGINATION_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Hypixel guilds are capped at 125 members
+const MAX_GUILD_MEMBERS = 125;
+
+// Function to look up a guild member's name, falling back to their link record
+async function getMemberName(uuid) {
+  try {
+    return await getUsernameFromUUID(uuid);
+  } catch {
+    return findLinkByUuid(uuid)?.minecraftName || `${uuid.slice(0, 8)}…`;
+  }
+}
+
+// Function to build the overview embed with one page of the weekly GEXP leaderboard
+async function buildGuildEmbed(hypixelGuild, leaderboard, page, pageCount) {
+  const entries = leaderboard.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+  const names = await Promise.all(entries.map((entry) => getMemberName(entry.uuid)));
+  const totalWeeklyExp = leaderboard.reduce((sum, entry) => sum + entry.weeklyExp, 0);
+
+  const lines = entries.map(
+    (entry, index) =>
+      `\`#${page * PAGE_SIZE + index + 1}\` **${names[index]}** (${entry.rank}): ${entry.weeklyExp.toLocaleString("en-US")} GEXP`,
+  );
+
+  return new EmbedBuilder()
+    .setColor("#99bcf7")
+    .setTitle(`🏰 ${hypixelGuild.name}${hypixelGuild.tag ? ` [${hypixelGuild.tag}]` : ""}`)
+    .setDescription(hypixelGuild.description || null)
+    .addFields(
+      { name: "Level", value: `${calculateGuildLevel(hypixelGuild.exp)}`, inline: true },
+      {
+        name: "Members",
+        value: `${hypixelGuild.members.length}/${MAX_GUILD_MEMBERS}`,
+        inline: true,
+      },
+      { name: "Tag", value: hypixelGuild.tag || "None", inline: true },
+      {
+        name: "Created",
+        value: hypixelGuild.created
+          ? time(new Date(hypixelGuild.created), TimestampStyles.LongDate)
+          : "Unknown",
+        inline: true,
+      },
+      {
+        name: "Weekly GEXP",
+        value: totalWeeklyExp.toLocaleString("en-US"),
+        inline: true,
+      },
+      {
+        name: "🏆 Top Weekly GEXP",
+        value: lines.join("\n") || "No members.",
+        inline: false,
+      },
+    )
+    .setFooter({ text: `Page ${page + 1}/${pageCount}` })
+    .setTimestamp();
+}
+
+// Function to build the previous/next page buttons
+function buildPageButtons(page, pageCount, disabled = false) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId("guild_page_previous")
+      .setLabel("◀ Previous")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(disabled || page === 0),
+    new ButtonBuilder()
+      .setCustomId("guild_page_next")
+      .setLabel("Next ▶")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(disabled || page >= pageCount - 1),
+  );
+}
+
+// /guild [name] shows a Hypixel guild's overview and weekly GEXP leaderboard
+// Defaults to the server's linked guild; any guild can be looked up for scouting
+export default {
+  data: new SlashCommandBuilder()
+    .setName("guild")
+    .setDescription("Show a Hypixel guild's overview and weekly GEXP leaderboard")
+    .addStringOption((option) =>
+      option
+        .setName("name")
+        .setDescription("Hypixel guild name (default: this server's guild)"),
+    ),
+  prefix: "guild",
+  permission: "member",
+  async execute(context) {
+    const guildName =
+      context.options.getString("name") ||
+      getConfiguredValue(context.guild, "hypixelGuild");
+
+    await context.deferReply();
+
+    let hypixelGuild;
+    try {
+      hypixelGuild = await getHypixelGuildByName(guildName);
+    } catch (error) {
+      const errorEmbed = new EmbedBuilder()
+        .setColor("#FF0000")
+        .setTitle(error instanceof NotFoundError ? "❌ Guild Not Found" : "❌ Lookup Failed")
+        .setDescription(
+          describeApiError(error, `Could not find a Hypixel guild named **${guildName}**.`),
+        )
+        .setTimestamp();
+
+      return context.editReply({ embeds: [errorEmbed] });
+    }
+
+    // Rank every member by experience earned over the last seven days
+    const leaderboard = hypixelGuild.members
+      .map((member) => ({
+        uuid: member.uuid,
+        rank: member.rank,
+        weeklyExp: getWeeklyGuildExp(member),
+      }))
+      .sort((a, b) => b.weeklyExp - a.weeklyExp);
+    const pageCount = Math.max(1, Math.ceil(leaderboard.length / PAGE_SIZE));
+    let page = 0;
+
+    const reply = await context.editReply({
+      embeds: [await buildGuildEmbed(hypixelGuild, leaderboard, page, pageCount)],
+      components: pageCount > 1 ? [buildPageButtons(page, pageCount)] : [],
+    });
+    if (pageCount <= 1) return;
+
+    // Only the member who ran the command can turn the pages
+    const collector = reply.createMessageComponentCollector({
+      componentType: ComponentType.Button,
+      time: PAGINATION_TIMEOUT_MS,
+    });
+
+    collector.on("collect", async (buttonInteraction) => {
+      if (buttonInteraction.user.id !== context.user.id) {
+        return buttonInteraction.reply({
+          content: "Only the member who ran this command can change pages.",
+          flags: "Ephemeral",
+        });
+      }
+
+      page += buttonInteraction.customId === "guild_page_next" ? 1 : -1;
+      page = Math.min(Math.max(page, 0), pageCount - 1);
+
+      await buttonInteraction.deferUpdate();
+      await buttonInteraction.editReply({
+        embeds: [await buildGuildEmbed(hypixelGuild, leaderboard, page, pageCount)],
+        components: [buildPageButtons(page, pageCount)],
+      });
+    });
+
+    // Disable the buttons once they stop working
+    collector.on("end", () => {
+      reply
+        .edit({ components: [buildPageButtons(page, pageCount, true)] })
+        .catch(() => {});
+    });
+  },
+};
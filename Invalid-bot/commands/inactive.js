@@ -0,0 +1,67 @@
+import { SlashCommandBuilder, TimestampStyles, time } from "discord.js";
+import { setExemption } from "../activityStorage.js";
+import { getLink } from "../storage.js";
+
+// Longest exemption staff can grant at once
+const MAX_EXEMPTION_DAYS = 60;
+
+// /inactive @member <days> <reason> excuses a member from the weekly GEXP requirement
+export default {
+  data: new SlashCommandBuilder()
+    .setName("inactive")
+    .setDescription("Excuse a member from the weekly GEXP requirement")
+    .addUserOption((option) =>
+      option
+        .setName("member")
+        .setDescription("The member to excuse")
+        .setRequired(true),
+    )
+    .addIntegerOption((option) =>
+      option
+        .setName("days")
+        .setDescription("How many days the exemption lasts")
+        .setRequired(true)
+        .setMinValue(1)
+        .setMaxValue(MAX_EXEMPTION_DAYS),
+    )
+    .addStringOption((option) =>
+      option
+        .setName("reason")
+        .setDescription("Why the member is inactive")
+        .setRequired(true)
+        .setMaxLength(200),
+    ),
+  permission: "staff",
+  async execute(context) {
+    const user = context.options.getUser("member");
+    const days = context.options.getInteger("days");
+    const reason = context.options.getString("reason");
+
+    // Exemptions follow the Minecraft account, so the member must be verified
+    const record = getLink(user.id);
+    if (!record?.minecraftUuid) {
+      return context.reply({
+        content: `${user} has not verified a Minecraft account, so they can't be matched to the guild roster.`,
+        flags: "Ephemeral",
+        allowedMentions: { parse: [] },
+      });
+    }
+
+    const until = Date.now() + days * 24 * 60 * 60 * 1000;
+    setExemption({
+      discordId: user.id,
+      guildId: context.guild.id,
+      minecraftUuid: record.minecraftUuid,
+      until,
+      reason,
+      grantedBy: context.user.id,
+      grantedAt: Date.now(),
+    });
+
+    return context.reply({
+      content: `${user} (**${record.minecraftName}**) is excused from the GEXP requirement until ${time(new Date(until), TimestampStyles.LongDate)}: ${reason}`,
+      flags: "Ephemeral",
+      allowedMentions: { parse: [] },
+    });
+  },
+};
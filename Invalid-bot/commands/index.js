@@ -0,0 +1,46 @@
+import announce from "./announce.js";
+import applications from "./applications.js";
+import applyPanel from "./applyPanel.js";
+import audit from "./audit.js";
+import config from "./config.js";
+import cooldown from "./cooldown.js";
+import forceunverify from "./forceunverify.js";
+import forceverify from "./forceverify.js";
+import guild from "./guild.js";
+import inactive from "./inactive.js";
+import nickname from "./nickname.js";
+import permissions from "./permissions.js";
+import render from "./render.js";
+import reverify from "./reverify.js";
+import say from "./say.js";
+import skin from "./skin.js";
+import stats from "./stats.js";
+import sync from "./sync.js";
+import verifyPanel from "./verifyPanel.js";
+import welcome from "./welcome.js";
+import whois from "./whois.js";
+
+// Every command the bot exposes, as slash commands and (where set) "!" prefix forms
+export default [
+  verifyPanel,
+  skin,
+  say,
+  announce,
+  config,
+  cooldown,
+  whois,
+  sync,
+  nickname,
+  render,
+  welcome,
+  stats,
+  guild,
+  inactive,
+  applyPanel,
+  applications,
+  audit,
+  permissions,
+  forceverify,
+  forceunverify,
+  reverify,
+];
@@ -0,0 +1,54 @@
+import { SlashCommandBuilder } from "discord.js";
+import { isAdministrator } from "../permissions.js";
+import { nicknameOptOuts, setNicknameOptOut } from "../storage.js";
+
+// /nickname opt-out|opt-in lets administrators keep their own nickname
+export default {
+  data: new SlashCommandBuilder()
+    .setName("nickname")
+    .setDescription("Control whether the bot syncs your nickname")
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("opt-out")
+        .setDescription("Stop the bot from changing your nickname (admins only)"),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("opt-in")
+        .setDescription("Let the bot sync your nickname again"),
+    ),
+  permission: "member",
+  async execute(context) {
+    const subcommand = context.options.getSubcommand();
+
+    if (subcommand === "opt-out") {
+      if (!isAdministrator(context.member)) {
+        return context.reply({
+          content: "Only administrators can opt out of nickname sync.",
+          flags: "Ephemeral",
+        });
+      }
+
+      setNicknameOptOut(context.user.id, true);
+      return context.reply({
+        content: "The bot will no longer change your nickname.",
+        flags: "Ephemeral",
+      });
+    }
+
+    if (subcommand === "opt-in") {
+      if (!nicknameOptOuts.has(context.user.id)) {
+        return context.reply({
+          content: "Your nickname is already synced.",
+          flags: "Ephemeral",
+        });
+      }
+
+      setNicknameOptOut(context.user.id, false);
+      return context.reply({
+        content: "The bot will sync your nickname again the next time it changes.",
+        flags: "Ephemeral",
+      });
+    }
+  },
+};
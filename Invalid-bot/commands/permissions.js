@@ -0,0 +1,127 @@
+import { EmbedBuilder, SlashCommandBuilder } from "discord.js";
+import {
+  PERMISSION_LEVELS,
+  getCommandLevel,
+  getCommandOverrides,
+  getDefaultCommandLevels,
+  resetCommandLevel,
+  setCommandLevel,
+} from "../permissions.js";
+
+// Level choices shared by the set subcommand
+const levelChoices = PERMISSION_LEVELS.map((level) => ({ name: level, value: level }));
+
+// This command stays at its own level so staff can't lock themselves out
+const COMMAND_NAME = "permissions";
+
+// Function to check a command name typed by staff; returns an error or null
+function validateCommandName(commandName) {
+  if (commandName === COMMAND_NAME) {
+    return "The level of /permissions itself can't be changed.";
+  }
+  if (!getDefaultCommandLevels().has(commandName)) {
+    return `There is no command called \`${commandName}\`.`;
+  }
+  return null;
+}
+
+// /permissions view|set|reset shows and overrides the level each command needs
+export default {
+  data: new SlashCommandBuilder()
+    .setName(COMMAND_NAME)
+    .setDescription("View or change who can use each command")
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("view")
+        .setDescription("Show the level each command needs"),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("set")
+        .setDescription("Change the level a command needs")
+        .addStringOption((option) =>
+          option
+            .setName("command")
+            .setDescription("The command to change")
+            .setRequired(true)
+            .setAutocomplete(true),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("level")
+            .setDescription("Who can use it")
+            .setRequired(true)
+            .addChoices(...levelChoices),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("reset")
+        .setDescription("Put a command back to its default level")
+        .addStringOption((option) =>
+          option
+            .setName("command")
+            .setDescription("The command to reset")
+            .setRequired(true)
+            .setAutocomplete(true),
+        ),
+    ),
+  permission: "staff",
+  async autocomplete(interaction) {
+    const focused = interaction.options.getFocused().toLowerCase();
+    const choices = Array.from(getDefaultCommandLevels().keys())
+      .filter((name) => name !== COMMAND_NAME && name.startsWith(focused))
+      .sort()
+      .slice(0, 25)
+      .map((name) => ({ name, value: name }));
+
+    await interaction.respond(choices);
+  },
+  async execute(context) {
+    const subcommand = context.options.getSubcommand();
+    const guildId = context.guild.id;
+
+    if (subcommand === "view") {
+      const overrides = getCommandOverrides(guildId);
+      const lines = Array.from(getDefaultCommandLevels())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, defaultLevel]) =>
+          overrides[name]
+            ? `\`/${name}\`: **${overrides[name]}** (default ${defaultLevel})`
+            : `\`/${name}\`: ${defaultLevel}`,
+        );
+
+      const embed = new EmbedBuilder()
+        .setColor("#99bcf7")
+        .setTitle("🔐 Command Permissions")
+        .setDescription(lines.join("\n"))
+        .setFooter({ text: `Levels, lowest first: ${PERMISSION_LEVELS.join(" < ")}` })
+        .setTimestamp();
+
+      return context.reply({ embeds: [embed], flags: "Ephemeral" });
+    }
+
+    const commandName = context.options.getString("command").replace(/^\//, "");
+    const error = validateCommandName(commandName);
+    if (error) {
+      return context.reply({ content: `❌ ${error}`, flags: "Ephemeral" });
+    }
+
+    if (subcommand === "set") {
+      const level = context.options.getString("level");
+      setCommandLevel(guildId, commandName, level);
+      return context.reply({
+        content: `✅ \`/${commandName}\` now needs the **${level}** level.`,
+        flags: "Ephemeral",
+      });
+    }
+
+    if (subcommand === "reset") {
+      resetCommandLevel(guildId, commandName);
+      return context.reply({
+        content: `✅ \`/${commandName}\` is back to its default level (**${getCommandLevel(guildId, commandName)}**).`,
+        flags: "Ephemeral",
+      });
+    }
+  },
+};
@@ -0,0 +1,268 @@
+import { ApplicationCommandOptionType, Collection } from "discord.js";
+import { logAuditEvent } from "../auditLog.js";
+import { recordCommand } from "../metrics.js";
+import {
+  PERMISSION_LEVELS,
+  checkPermission,
+  getCommandLevel,
+  registerCommandLevels,
+  sendDenial,
+} from "../permissions.js";
+
+// Prefix used by the legacy text commands (e.g. "!skin")
+export const PREFIX = "!";
+
+// Function to find the first member a slash command was aimed at (null if none)
+// Subcommand options are nested, so the option tree is searched depth-first
+function findTargetUser(options) {
+  for (const option of options) {
+    if (option.user) return option.user;
+    const nested = findTargetUser(option.options || []);
+    if (nested) return nested;
+  }
+  return null;
+}
+
+// Function to record a staff command in the audit log
+function auditStaffCommand(command, context) {
+  const input = context.interaction
+    ? context.interaction.toString()
+    : context.message.content;
+  const target = context.interaction
+    ? findTargetUser(context.interaction.options.data)
+    : null;
+
+  return logAuditEvent(context.guild, {
+    type: "staffCommand",
+    userId: target?.id || null,
+    actorId: context.user.id,
+    channelId: context.channel.id,
+    command: command.data.name,
+    input,
+  });
+}
+
+// Function to wrap a slash command interaction in a command context
+function createInteractionContext(interaction) {
+  return {
+    interaction,
+    message: null,
+    client: interaction.client,
+    guild: interaction.guild,
+    member: interaction.member,
+    user: interaction.user,
+    channel: interaction.channel,
+    options: interaction.options,
+    deferReply(payload) {
+      return interaction.deferReply(payload);
+    },
+    reply(payload) {
+      if (interaction.replied || interaction.deferred) {
+        return interaction.followUp(payload);
+      }
+      return interaction.reply(payload);
+    },
+    editReply(payload) {
+      if (interaction.replied || interaction.deferred) {
+        return interaction.editReply(payload);
+      }
+      return interaction.reply(payload);
+    },
+  };
+}
+
+// Function to parse prefix command arguments using the slash command options
+// Each option consumes one word, except a trailing string option which takes
+// the rest of the message as-is (so line breaks in "!ha" text are kept)
+function parsePrefixOptions(command, argumentText) {
+  const values = new Map();
+  const options = command.data.options.map((option) => option.toJSON());
+  let remaining = argumentText.trim();
+
+  options.forEach((option, index) => {
+    if (!remaining) return;
+
+    let raw;
+    if (
+      index === options.length - 1 &&
+      option.type === ApplicationCommandOptionType.String
+    ) {
+      raw = remaining;
+      remaining = "";
+    } else {
+      [raw] = remaining.split(/\s+/, 1);
+      remaining = remaining.slice(raw.length).trim();
+    }
+
+    if (
+      option.type === ApplicationCommandOptionType.Integer ||
+      option.type === ApplicationCommandOptionType.Number
+    ) {
+      const number = Number(raw);
+      if (Number.isFinite(number)) {
+        values.set(
+          option.name,
+          option.type === ApplicationCommandOptionType.Integer
+            ? Math.trunc(number)
+            : number,
+        );
+      }
+    } else {
+      values.set(option.name, raw);
+    }
+  });
+
+  const get = (name) => values.get(name) ?? null;
+  return { getString: get, getInteger: get, getNumber: get };
+}
+
+// Function to wrap a prefix command message in a command context
+function createMessageContext(message, command, argumentText) {
+  let replyMessage = null;
+
+  // Ephemeral flags are not supported on normal messages, so strip them
+  const toMessagePayload = (payload) => {
+    if (typeof payload === "string") return payload;
+    const { flags, ephemeral, ...rest } = payload;
+    return rest;
+  };
+
+  return {
+    interaction: null,
+    message,
+    client: message.client,
+    guild: message.guild,
+    member: message.member,
+    user: message.author,
+    channel: message.channel,
+    options: parsePrefixOptions(command, argumentText),
+    // Normal messages can't be deferred, so show the typing indicator instead
+    deferReply() {
+      return message.channel.sendTyping();
+    },
+    async reply(payload) {
+      replyMessage = await message.reply(toMessagePayload(payload));
+      return replyMessage;
+    },
+    async editReply(payload) {
+      if (replyMessage) {
+        return replyMessage.edit(toMessagePayload(payload));
+      }
+      replyMessage = await message.reply(toMessagePayload(payload));
+      return replyMessage;
+    },
+  };
+}
+
+// Function to build a command registry from a list of command definitions
+// Each definition has `data` (a SlashCommandBuilder), an optional `prefix` name
+// for the legacy "!" form, a `permission` level (see permissions.js), `execute`
+// and optional `autocomplete`. Staff can override levels with /permissions
+export function createCommandRegistry(definitions) {
+  const commands = new Collection();
+  const prefixCommands = new Collection();
+  registerCommandLevels(definitions);
+
+  for (const command of definitions) {
+    commands.set(command.data.name, command);
+    if (command.prefix) {
+      prefixCommands.set(command.prefix.toLowerCase(), command);
+    }
+  }
+
+  // Function to register every command as a slash command in a guild
+  async function registerGuildCommands(guild) {
+    try {
+      await guild.commands.set(commands.map((command) => command.data.toJSON()));
+      console.log(`Registered ${commands.size} commands in ${guild.name}`);
+    } catch (error) {
+      console.error(`Failed to register commands in ${guild.name}:`, error);
+    }
+  }
+
+  // Function to run a command after checking its permission level
+  async function runCommand(command, context) {
+    const level = getCommandLevel(context.guild.id, command.data.name);
+    const denial = checkPermission(context.member, level);
+    if (denial) {
+      recordCommand(command.data.name, "denied");
+      return sendDenial(context.interaction || context.message, denial);
+    }
+
+    // Not awaited, so posting to the audit channel never delays the reply
+    if (PERMISSION_LEVELS.indexOf(level) >= PERMISSION_LEVELS.indexOf("staff")) {
+      auditStaffCommand(command, context);
+    }
+
+    try {
+      await command.execute(context);
+      recordCommand(command.data.name, "ok");
+    } catch (error) {
+      recordCommand(command.data.name, "error");
+      console.error(`Error in ${command.data.name} command:`, error);
+
+      // Let the user know rather than leaving them with "thinking…"; a fresh
+      // reply is ephemeral, while a deferred one keeps its visibility
+      const { interaction } = context;
+      const answered = interaction?.deferred || interaction?.replied;
+      await context
+        .editReply({
+          content: "❌ Something went wrong running this command. Please try again later.",
+          ...(answered ? {} : { flags: "Ephemeral" }),
+        })
+        .catch(() => {});
+    }
+  }
+
+  // Function to handle slash command and autocomplete interactions
+  async function handleInteraction(interaction) {
+    if (!interaction.isChatInputCommand() && !interaction.isAutocomplete()) {
+      return false;
+    }
+
+    const command = commands.get(interaction.commandName);
+    if (!command) return false;
+
+    // Autocomplete can list stored data, so it needs the command's level too
+    if (interaction.isAutocomplete()) {
+      const level = getCommandLevel(interaction.guildId, command.data.name);
+      if (checkPermission(interaction.member, level)) {
+        await interaction.respond([]).catch(console.error);
+      } else if (command.autocomplete) {
+        await command.autocomplete(interaction).catch((error) => {
+          console.error(`Autocomplete failed for ${command.data.name}:`, error);
+        });
+      }
+      return true;
+    }
+
+    await runCommand(command, createInteractionContext(interaction));
+    return true;
+  }
+
+  // Function to handle legacy "!" prefix commands
+  // Only the exact command word matches, so "!hat" no longer triggers "!ha"
+  async function handleMessage(message) {
+    if (message.author.bot || !message.guild) return false;
+    if (!message.content.startsWith(PREFIX)) return false;
+
+    const content = message.content.slice(PREFIX.length);
+    const [name] = content.split(/\s+/, 1);
+    const command = prefixCommands.get(name.toLowerCase());
+    if (!command) return false;
+
+    const argumentText = content.slice(name.length);
+    await runCommand(
+      command,
+      createMessageContext(message, command, argumentText),
+    );
+    return true;
+  }
+
+  return {
+    commands,
+    registerGuildCommands,
+    handleInteraction,
+    handleMessage,
+  };
+}
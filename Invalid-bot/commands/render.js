@@ -0,0 +1,116 @@
+import {
+  AttachmentBuilder,
+  EmbedBuilder,
+  SlashCommandBuilder,
+} from "discord.js";
+import { NotFoundError, describeApiError, getMojangProfile } from "../api.js";
+import { DEFAULT_YAW, renderAvatar } from "../avatar.js";
+import { loadSkin } from "../skinTexture.js";
+
+// Screen pixels per skin pixel for each mode, so every render comes out a similar size
+const MODE_SCALES = { head: 24, bust: 14, body: 10 };
+
+// /render <name> [head|bust|body] [angle] renders a still 3D avatar of a skin
+export default {
+  data: new SlashCommandBuilder()
+    .setName("render")
+    .setDescription("Render a 3D avatar of a Minecraft skin")
+    .addStringOption((option) =>
+      option
+        .setName("name")
+        .setDescription("Minecraft username")
+        .setRequired(true),
+    )
+    .addStringOption((option) =>
+      option
+        .setName("mode")
+        .setDescription("How much of the player to render (default body)")
+        .addChoices(
+          { name: "Head", value: "head" },
+          { name: "Bust", value: "bust" },
+          { name: "Body", value: "body" },
+        ),
+    )
+    .addIntegerOption((option) =>
+      option
+        .setName("angle")
+        .setDescription(`Turn in degrees, 0 faces the camera (default ${DEFAULT_YAW})`)
+        .setMinValue(-180)
+        .setMaxValue(180),
+    ),
+  prefix: "render",
+  permission: "member",
+  async execute(context) {
+    const minecraftName = context.options.getString("name");
+    if (!minecraftName) {
+      const embed = new EmbedBuilder()
+        .setColor("#FF0000")
+        .setTitle("❌ Missing Username")
+        .setDescription(
+          "Please provide a Minecraft username. Usage: `/render <name> [head|bust|body] [angle]`",
+        )
+        .setTimestamp();
+
+      return context.reply({ embeds: [embed], flags: "Ephemeral" });
+    }
+
+    // Options given through "!render" are not validated by Discord
+    const requestedMode = context.options.getString("mode")?.toLowerCase();
+    const mode = MODE_SCALES[requestedMode] ? requestedMode : "body";
+    const angle = context.options.getInteger("angle");
+    const yaw = angle === null ? DEFAULT_YAW : Math.min(Math.max(angle, -180), 180);
+
+    await context.deferReply();
+
+    // Fetch the profile from Mojang API (also gives the name's proper casing)
+    let profile;
+    try {
+      profile = await getMojangProfile(minecraftName);
+    } catch (error) {
+      const errorEmbed = new EmbedBuilder()
+        .setColor("#FF0000")
+        .setTitle(error instanceof NotFoundError ? "❌ Invalid Username" : "❌ Lookup Failed")
+        .setDescription(
+          describeApiError(
+            error,
+            `Could not find a Minecraft player with the username **${minecraftName}**. Please check the spelling and try again.`,
+          ),
+        )
+        .setTimestamp();
+
+      return context.editReply({ embeds: [errorEmbed] });
+    }
+
+    let buffer;
+    try {
+      const skin = await loadSkin(profile.id);
+      buffer = renderAvatar(skin, { mode, yaw, scale: MODE_SCALES[mode] }).toBuffer();
+    } catch (error) {
+      console.error("Error in /render command:", error);
+      const errorEmbed = new EmbedBuilder()
+        .setColor("#FF0000")
+        .setTitle("❌ Render Failed")
+        .setDescription(`Failed to render the skin of **${profile.name}**. Please try again later.`)
+        .setTimestamp();
+
+      return context.editReply({ embeds: [errorEmbed] });
+    }
+
+    const fileName = `${profile.name}_${mode}.png`;
+    const embed = new EmbedBuilder()
+      .setColor("#00FF00")
+      .setTitle(`🧍 ${profile.name}`)
+      .setImage(`attachment://${fileName}`)
+      .addFields(
+        { name: "Mode", value: mode, inline: true },
+        { name: "Angle", value: `${yaw}°`, inline: true },
+      )
+      .setFooter({ text: `Requested by ${context.user.tag}` })
+      .setTimestamp();
+
+    await context.editReply({
+      embeds: [embed],
+      files: [new AttachmentBuilder(buffer, { name: fileName })],
+    });
+  },
+};
@@ -0,0 +1,80 @@
+import { SlashCommandBuilder } from "discord.js";
+import {
+  describeApiError,
+  getHypixelGuildData,
+  getHypixelPlayerData,
+  getUsernameFromUUID,
+} from "../api.js";
+import { getServerLink } from "../storage.js";
+import { applyVerification } from "../verification.js";
+
+// /reverify @member re-runs verification for a member's linked account,
+// refreshing their name, rank, guild roles and nickname from Hypixel
+export default {
+  data: new SlashCommandBuilder()
+    .setName("reverify")
+    .setDescription("Refresh a member's roles and nickname from their linked account")
+    .addUserOption((option) =>
+      option
+        .setName("member")
+        .setDescription("The member to re-verify")
+        .setRequired(true),
+    ),
+  permission: "staff",
+  async execute(context) {
+    const member = context.options.getMember("member");
+    if (!member) {
+      return context.reply({
+        content: "That member is not in this server.",
+        flags: "Ephemeral",
+      });
+    }
+
+    // A link made in another server is left there rather than moved here
+    const link = getServerLink(member.id, context.guild.id);
+    if (!link?.minecraftUuid) {
+      return context.reply({
+        content: `${member} has no linked Minecraft account in this server. Use /forceverify instead.`,
+        flags: "Ephemeral",
+        allowedMentions: { parse: [] },
+      });
+    }
+
+    await context.deferReply({ flags: "Ephemeral" });
+
+    // A failed lookup stops here rather than stripping roles
+    let playerData;
+    let guildData;
+    try {
+      playerData = await getHypixelPlayerData(link.minecraftUuid);
+      guildData = await getHypixelGuildData(link.minecraftUuid);
+    } catch (error) {
+      return context.editReply({
+        content: describeApiError(
+          error,
+          `**${link.minecraftName}** has never joined Hypixel.`,
+        ),
+      });
+    }
+
+    // Pick up a Minecraft name change, keeping the stored name if Mojang is down
+    const minecraftName =
+      (await getUsernameFromUUID(link.minecraftUuid).catch(() => null)) ||
+      link.minecraftName;
+
+    const record = await applyVerification(
+      member,
+      { minecraftName, uuid: link.minecraftUuid, playerData, guildData },
+      {
+        actorId: context.user.id,
+        auditType: "reverify",
+        reason: `Re-verified by ${context.user.tag}`,
+      },
+    );
+
+    return context.editReply({
+      content: `✅ ${member} was re-verified as **${record.minecraftName}** (${record.rank}, ${record.hypixelGuild || "no guild"}).`,
+      allowedMentions: { parse: [] },
+    });
+  },
+};
@@ -0,0 +1,37 @@
+import { SlashCommandBuilder } from "discord.js";
+
+// /say <text> (legacy: !ha) sends a message as the bot
+export default {
+  data: new SlashCommandBuilder()
+    .setName("say")
+    .setDescription("Send a message as the bot in this channel")
+    .addStringOption((option) =>
+      option
+        .setName("text")
+        .setDescription("The message to send")
+        .setRequired(true),
+    ),
+  prefix: "ha",
+  permission: "staff",
+  async execute(context) {
+    const text = context.options.getString("text");
+    if (!text) {
+      return context.reply({
+        content: "Please provide a message to send.",
+        flags: "Ephemeral",
+      });
+    }
+
+    // Send the message as the bot
+    await context.channel.send(text);
+
+    if (context.message) {
+      // Delete the user's !ha command message
+      await context.message.delete().catch((error) => {
+        console.error("Failed to delete message:", error);
+      });
+    } else {
+      await context.reply({ content: "Message sent.", flags: "Ephemeral" });
+    }
+  },
+};
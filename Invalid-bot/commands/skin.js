@@ -0,0 +1,165 @@
+import {
+  AttachmentBuilder,
+  EmbedBuilder,
+  SlashCommandBuilder,
+} from "discord.js";
+import { NotFoundError, describeApiError, getUUIDFromUsername } from "../api.js";
+import { generateSkinAnimation } from "../images.js";
+
+// Recently rendered names, offered as autocomplete suggestions
+const MAX_RECENT_NAMES = 25;
+const recentNames = [];
+
+// Function to remember a rendered name for autocomplete
+function rememberName(minecraftName) {
+  const index = recentNames.findIndex(
+    (name) => name.toLowerCase() === minecraftName.toLowerCase(),
+  );
+  if (index !== -1) recentNames.splice(index, 1);
+  recentNames.unshift(minecraftName);
+  recentNames.length = Math.min(recentNames.length, MAX_RECENT_NAMES);
+}
+
+// /skin <username> (legacy: !skin) renders a 3D Minecraft skin
+export default {
+  data: new SlashCommandBuilder()
+    .setName("skin")
+    .setDescription("Generate a 3D render of a Minecraft skin")
+    .addStringOption((option) =>
+      option
+        .setName("username")
+        .setDescription("Minecraft username")
+        .setRequired(true)
+        .setAutocomplete(true),
+    )
+    .addIntegerOption((option) =>
+      option
+        .setName("frames")
+        .setDescription("Frames per step cycle (default 12)")
+        .setMinValue(4)
+        .setMaxValue(32),
+    )
+    .addIntegerOption((option) =>
+      option
+        .setName("size")
+        .setDescription("Width of the animation in pixels (default 400)")
+        .setMinValue(100)
+        .setMaxValue(600),
+    )
+    .addIntegerOption((option) =>
+      option
+        .setName("speed")
+        .setDescription("Playback speed in frames per second (default 10)")
+        .setMinValue(1)
+        .setMaxValue(50),
+    ),
+  prefix: "skin",
+  permission: "member",
+  async autocomplete(interaction) {
+    const focused = interaction.options.getFocused().toLowerCase();
+    const choices = recentNames
+      .filter((name) => name.toLowerCase().startsWith(focused))
+      .slice(0, 25)
+      .map((name) => ({ name, value: name }));
+
+    await interaction.respond(choices);
+  },
+  async execute(context) {
+    const minecraftName = context.options.getString("username");
+    if (!minecraftName) {
+      const embed = new EmbedBuilder()
+        .setColor("#FF0000")
+        .setTitle("❌ Missing Username")
+        .setDescription(
+          "Please provide a Minecraft username. Usage: `/skin <username> [frames] [size] [speed]`",
+        )
+        .setTimestamp();
+
+      return context.reply({ embeds: [embed], flags: "Ephemeral" });
+    }
+
+    try {
+      // Send a "loading" message
+      const loadingEmbed = new EmbedBuilder()
+        .setColor("#FFFF00")
+        .setTitle("⏳ Generating 3D Skin")
+        .setDescription(`Please wait while I generate the 3D skin for **${minecraftName}**...`)
+        .setTimestamp();
+
+      await context.reply({ embeds: [loadingEmbed] });
+
+      // Fetch UUID from Mojang API
+      let uuid;
+      try {
+        uuid = await getUUIDFromUsername(minecraftName);
+      } catch (error) {
+        const errorEmbed = new EmbedBuilder()
+          .setColor("#FF0000")
+          .setTitle(
+            error instanceof NotFoundError ? "❌ Invalid Username" : "❌ Lookup Failed",
+          )
+          .setDescription(
+            describeApiError(
+              error,
+              `Could not find a Minecraft player with the username **${minecraftName}**. Please check the spelling and try again.`,
+            ),
+          )
+          .setTimestamp();
+
+        return context.editReply({ embeds: [errorEmbed] });
+      }
+
+      // Generate the walking animation, clamping options given through "!skin"
+      const clamp = (value, min, max, fallback) =>
+        value === null ? fallback : Math.min(Math.max(value, min), max);
+      const skinBuffer = await generateSkinAnimation(minecraftName, uuid, {
+        frames: clamp(context.options.getInteger("frames"), 4, 32, 12),
+        size: clamp(context.options.getInteger("size"), 100, 600, 400),
+        speed: clamp(context.options.getInteger("speed"), 1, 50, 10),
+      });
+      if (!skinBuffer) {
+        const errorEmbed = new EmbedBuilder()
+          .setColor("#FF0000")
+          .setTitle("❌ Skin Generation Failed")
+          .setDescription(`Failed to generate the 3D skin for **${minecraftName}**. Please try again later.`)
+          .setTimestamp();
+
+        return context.editReply({ embeds: [errorEmbed] });
+      }
+
+      rememberName(minecraftName);
+
+      // Create attachment
+      const attachment = new AttachmentBuilder(skinBuffer, { name: `${minecraftName}_walk.gif` });
+
+      // Create success embed
+      const successEmbed = new EmbedBuilder()
+        .setColor("#00FF00")
+        .setTitle("✅ 3D Skin Generated")
+        .setDescription(`Here's the 3D walking animation for **${minecraftName}** with the extra layer!`)
+        .setImage(`attachment://${minecraftName}_walk.gif`)
+        .addFields(
+          { name: "Username", value: minecraftName, inline: true },
+          { name: "UUID", value: uuid, inline: true },
+          { name: "Features", value: "✅ Walking Animation\n✅ Extra Layer (Hat/Jacket/Sleeves/Pants)", inline: false }
+        )
+        .setFooter({ text: `Requested by ${context.user.tag}` })
+        .setTimestamp();
+
+      // Edit the loading message with the result
+      await context.editReply({
+        embeds: [successEmbed],
+        files: [attachment],
+      });
+    } catch (error) {
+      console.error("Error in /skin command:", error);
+      const errorEmbed = new EmbedBuilder()
+        .setColor("#FF0000")
+        .setTitle("❌ Unexpected Error")
+        .setDescription(`An unexpected error occurred while generating the 3D skin for **${minecraftName}**.`)
+        .setTimestamp();
+
+      await context.editReply({ embeds: [errorEmbed] });
+    }
+  },
+};
@@ -0,0 +1,144 @@
+import {
+  AttachmentBuilder,
+  EmbedBuilder,
+  SlashCommandBuilder,
+} from "discord.js";
+import {
+  NotFoundError,
+  describeApiError,
+  getHypixelPlayerData,
+  getMojangProfile,
+} from "../api.js";
+import { GAME_MODES } from "../gameStats.js";
+import { getConfiguredValue } from "../guildConfig.js";
+import { formatHypixelRank } from "../hypixel.js";
+import { generateStatsCard } from "../images.js";
+import { getLink } from "../storage.js";
+
+// Function to build a red error embed
+function buildErrorEmbed(title, description) {
+  return new EmbedBuilder()
+    .setColor("#FF0000")
+    .setTitle(title)
+    .setDescription(description)
+    .setTimestamp();
+}
+
+// /stats [name] [bedwars|skywars|duels|general] renders a Hypixel stat card
+// The name defaults to the member's linked account
+export default {
+  data: new SlashCommandBuilder()
+    .setName("stats")
+    .setDescription("Show a player's Hypixel stats")
+    .addStringOption((option) =>
+      option
+        .setName("name")
+        .setDescription("Minecraft username (default: your linked account)"),
+    )
+    .addStringOption((option) =>
+      option
+        .setName("mode")
+        .setDescription("Game to show stats for (default general)")
+        .addChoices(
+          ...Object.entries(GAME_MODES).map(([key, mode]) => ({
+            name: mode.label,
+            value: key,
+          })),
+        ),
+    ),
+  prefix: "stats",
+  permission: "member",
+  async execute(context) {
+    let minecraftName = context.options.getString("name");
+    let modeKey = context.options.getString("mode")?.toLowerCase() || "general";
+
+    // "!stats bedwars" means the member's own bedwars stats
+    if (
+      minecraftName &&
+      !context.options.getString("mode") &&
+      GAME_MODES[minecraftName.toLowerCase()]
+    ) {
+      modeKey = minecraftName.toLowerCase();
+      minecraftName = null;
+    }
+
+    const mode = GAME_MODES[modeKey];
+    if (!mode) {
+      return context.reply({
+        embeds: [
+          buildErrorEmbed(
+            "❌ Unknown Game",
+            `Choose one of: ${Object.keys(GAME_MODES).join(", ")}. Usage: \`/stats [name] [game]\``,
+          ),
+        ],
+        flags: "Ephemeral",
+      });
+    }
+
+    // Without a name, use the member's linked account
+    let uuid;
+    if (!minecraftName) {
+      const record = getLink(context.user.id);
+      if (!record?.minecraftUuid) {
+        return context.reply({
+          embeds: [
+            buildErrorEmbed(
+              "❌ Missing Username",
+              "You are not verified, so please provide a Minecraft username. Usage: `/stats [name] [game]`",
+            ),
+          ],
+          flags: "Ephemeral",
+        });
+      }
+      uuid = record.minecraftUuid;
+      minecraftName = record.minecraftName;
+    }
+
+    await context.deferReply();
+
+    let playerData;
+    try {
+      if (!uuid) {
+        const profile = await getMojangProfile(minecraftName);
+        uuid = profile.id;
+        minecraftName = profile.name;
+      }
+      playerData = await getHypixelPlayerData(uuid);
+    } catch (error) {
+      return context.editReply({
+        embeds: [
+          buildErrorEmbed(
+            error instanceof NotFoundError ? "❌ Player Not Found" : "❌ Lookup Failed",
+            describeApiError(
+              error,
+              `Could not find **${minecraftName}** on Hypixel. Please check the spelling and try again.`,
+            ),
+          ),
+        ],
+      });
+    }
+
+    // Prefer Hypixel's display name, which follows the player's latest name
+    minecraftName = playerData.displayname || minecraftName;
+    const imageBuffer = await generateStatsCard(
+      minecraftName,
+      formatHypixelRank(playerData),
+      uuid,
+      { title: mode.label, ...mode.getStats(playerData) },
+      { theme: getConfiguredValue(context.guild, "welcomeTheme") },
+    );
+
+    const fileName = `${minecraftName}_${modeKey}.png`;
+    const embed = new EmbedBuilder()
+      .setColor("#99bcf7")
+      .setTitle(`📊 ${minecraftName}'s ${mode.label} Stats`)
+      .setImage(`attachment://${fileName}`)
+      .setFooter({ text: `Requested by ${context.user.tag}` })
+      .setTimestamp();
+
+    await context.editReply({
+      embeds: [embed],
+      files: [new AttachmentBuilder(imageBuffer, { name: fileName })],
+    });
+  },
+};
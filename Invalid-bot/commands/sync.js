@@ -0,0 +1,30 @@
+import { SlashCommandBuilder } from "discord.js";
+import {
+  buildSyncSummaryEmbed,
+  postSyncSummary,
+  syncGuildRoles,
+} from "../sync.js";
+
+// /sync now re-checks every linked member's Hypixel guild immediately
+export default {
+  data: new SlashCommandBuilder()
+    .setName("sync")
+    .setDescription("Sync guild roles with Hypixel")
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("now")
+        .setDescription("Re-check every linked member's Hypixel guild now"),
+    ),
+  permission: "staff",
+  async execute(context) {
+    await context.deferReply({ flags: "Ephemeral" });
+
+    const result = await syncGuildRoles(context.guild);
+    await postSyncSummary(context.guild, result);
+
+    await context.editReply({
+      embeds: [buildSyncSummaryEmbed(result)],
+      allowedMentions: { parse: [] },
+    });
+  },
+};
@@ -0,0 +1,54 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  SlashCommandBuilder,
+} from "discord.js";
+import { getConfiguredChannel } from "../guildConfig.js";
+
+// /verify-panel (legacy: !verifybutton) posts the green "Verify" button
+export default {
+  data: new SlashCommandBuilder()
+    .setName("verify-panel")
+    .setDescription("Post the verification button in the verify channel"),
+  prefix: "verifybutton",
+  permission: "staff",
+  async execute(context) {
+    const verifyChannel = getConfiguredChannel(context.guild, "verifyChannel");
+    if (!verifyChannel || context.channel.id !== verifyChannel.id) {
+      return context.reply({
+        content: verifyChannel
+          ? `The verify panel can only be posted in ${verifyChannel}.`
+          : "No verify channel is configured. Set one with `/config set`.",
+        flags: "Ephemeral",
+      });
+    }
+
+    // Delete the user's command message
+    if (context.message) {
+      await context.message.delete().catch((error) => {
+        console.error("Failed to delete message:", error);
+      });
+    }
+
+    // Create a green "Verify" button
+    const verifyButton = new ButtonBuilder()
+      .setCustomId("verify_button")
+      .setLabel("Verify")
+      .setStyle(ButtonStyle.Success);
+
+    const row = new ActionRowBuilder().addComponents(verifyButton);
+
+    // Send the button alone (no text)
+    await context.channel.send({
+      components: [row],
+    });
+
+    if (context.interaction) {
+      await context.reply({
+        content: "Verify panel posted.",
+        flags: "Ephemeral",
+      });
+    }
+  },
+};
@@ -0,0 +1,118 @@
+import { AttachmentBuilder, SlashCommandBuilder } from "discord.js";
+import { getHypixelPlayerData } from "../api.js";
+import { getConfiguredValue, setGuildSetting } from "../guildConfig.js";
+import { calculateHypixelLevel, formatHypixelRank } from "../hypixel.js";
+import { generateWelcomeImage } from "../images.js";
+import { getLink } from "../storage.js";
+import { WELCOME_THEMES } from "../welcomeThemes.js";
+
+// Theme choices shared by the preview and theme subcommands
+const themeChoices = Object.entries(WELCOME_THEMES).map(([key, theme]) => ({
+  name: theme.label,
+  value: key,
+}));
+
+// Sample player shown in previews for members who have not verified
+const SAMPLE_PLAYER = {
+  minecraftName: "Notch",
+  minecraftUuid: "069a79f444e94726a5befca90e38aaf5",
+  hypixelGuild: "Heavenly Spirits",
+  guildTag: "HS",
+};
+const SAMPLE_RANK = { name: "MVP+", color: "#55FFFF", plusColor: "#FF5555" };
+const SAMPLE_LEVEL = 150;
+
+// Function to render a preview card, using the member's own account if linked
+async function renderPreview(user, theme) {
+  const record = getLink(user.id);
+  const player = record?.minecraftUuid ? record : SAMPLE_PLAYER;
+
+  // Live rank and level when available; the sample values otherwise
+  let rank = SAMPLE_RANK;
+  let level = SAMPLE_LEVEL;
+  if (player !== SAMPLE_PLAYER) {
+    try {
+      const playerData = await getHypixelPlayerData(player.minecraftUuid);
+      rank = formatHypixelRank(playerData);
+      level = calculateHypixelLevel(playerData.networkExp || 0);
+    } catch (error) {
+      console.error("Failed to fetch player data for welcome preview:", error.message);
+    }
+  }
+
+  return generateWelcomeImage(
+    player.minecraftName,
+    rank,
+    level,
+    { name: player.hypixelGuild || "No Guild", tag: player.guildTag || "" },
+    player.minecraftUuid,
+    user.username,
+    { theme },
+  );
+}
+
+// /welcome preview|theme previews and picks the welcome card theme
+export default {
+  data: new SlashCommandBuilder()
+    .setName("welcome")
+    .setDescription("Preview or change the welcome card theme")
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("preview")
+        .setDescription("Preview a welcome card theme")
+        .addStringOption((option) =>
+          option
+            .setName("theme")
+            .setDescription("Theme to preview (default: the current theme)")
+            .addChoices(...themeChoices),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("theme")
+        .setDescription("Set the welcome card theme")
+        .addStringOption((option) =>
+          option
+            .setName("theme")
+            .setDescription("The new theme")
+            .setRequired(true)
+            .addChoices(...themeChoices),
+        ),
+    ),
+  permission: "staff",
+  async execute(context) {
+    const subcommand = context.options.getSubcommand();
+    const currentTheme = getConfiguredValue(context.guild, "welcomeTheme");
+
+    if (subcommand === "preview") {
+      const theme = context.options.getString("theme") || currentTheme;
+      await context.deferReply({ flags: "Ephemeral" });
+
+      const imageBuffer = await renderPreview(context.user, theme);
+      const label = WELCOME_THEMES[theme]?.label || theme;
+      return context.editReply({
+        content:
+          theme === currentTheme
+            ? `Preview of the **${label}** theme (current theme).`
+            : `Preview of the **${label}** theme. Use \`/welcome theme\` to switch to it.`,
+        files: [new AttachmentBuilder(imageBuffer, { name: "welcome-preview.png" })],
+      });
+    }
+
+    if (subcommand === "theme") {
+      const theme = context.options.getString("theme");
+      if (!WELCOME_THEMES[theme]) {
+        return context.reply({
+          content: `Unknown theme. Choose one of: ${Object.keys(WELCOME_THEMES).join(", ")}.`,
+          flags: "Ephemeral",
+        });
+      }
+
+      setGuildSetting(context.guild.id, "welcomeTheme", theme);
+      return context.reply({
+        content: `Welcome cards now use the **${WELCOME_THEMES[theme].label}** theme.`,
+        flags: "Ephemeral",
+      });
+    }
+  },
+};
@@ -0,0 +1,131 @@
+import {
+  EmbedBuilder,
+  SlashCommandBuilder,
+  TimestampStyles,
+  time,
+} from "discord.js";
+import { getUUIDFromUsername } from "../api.js";
+import {
+  findLinkByName,
+  findLinkByUuid,
+  getLink,
+  verifiedUsers,
+} from "../storage.js";
+
+// Function to build the embed describing a link record
+function buildLinkEmbed(record) {
+  const embed = new EmbedBuilder()
+    .setColor("#99bcf7")
+    .setTitle("🔗 Linked Account")
+    .addFields(
+      { name: "Discord", value: `<@${record.discordId}>`, inline: true },
+      {
+        name: "Minecraft",
+        value: record.minecraftName || "Unknown (verified before links were recorded)",
+        inline: true,
+      },
+      { name: "UUID", value: record.minecraftUuid || "Unknown", inline: false },
+      {
+        name: "Verified",
+        value: record.verifiedAt
+          ? `${time(new Date(record.verifiedAt), TimestampStyles.LongDateTime)} (${time(new Date(record.verifiedAt), TimestampStyles.RelativeTime)})`
+          : "Unknown",
+        inline: true,
+      },
+      {
+        name: "Hypixel Guild at Verification",
+        value: record.hypixelGuild || "No Guild",
+        inline: true,
+      },
+    )
+    .setTimestamp();
+
+  if (record.minecraftUuid) {
+    embed.setThumbnail(`https://mc-heads.net/avatar/${record.minecraftUuid}`);
+  }
+
+  return embed;
+}
+
+// /whois member|minecraft looks up a link in either direction
+export default {
+  data: new SlashCommandBuilder()
+    .setName("whois")
+    .setDescription("Look up which Minecraft account a member verified with")
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("member")
+        .setDescription("Find the Minecraft account linked to a member")
+        .addUserOption((option) =>
+          option
+            .setName("member")
+            .setDescription("The member to look up")
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("minecraft")
+        .setDescription("Find the member linked to a Minecraft account")
+        .addStringOption((option) =>
+          option
+            .setName("name")
+            .setDescription("Minecraft username")
+            .setRequired(true)
+            .setAutocomplete(true),
+        ),
+    ),
+  permission: "staff",
+  async autocomplete(interaction) {
+    const focused = interaction.options.getFocused().toLowerCase();
+    const choices = Array.from(verifiedUsers.values())
+      .map((record) => record.minecraftName)
+      .filter((name) => name && name.toLowerCase().startsWith(focused))
+      .slice(0, 25)
+      .map((name) => ({ name, value: name }));
+
+    await interaction.respond(choices);
+  },
+  async execute(context) {
+    const subcommand = context.options.getSubcommand();
+
+    if (subcommand === "member") {
+      const user = context.options.getUser("member");
+      const record = getLink(user.id);
+      if (!record) {
+        return context.reply({
+          content: `${user} is not verified.`,
+          flags: "Ephemeral",
+          allowedMentions: { parse: [] },
+        });
+      }
+
+      return context.reply({
+        embeds: [buildLinkEmbed(record)],
+        flags: "Ephemeral",
+      });
+    }
+
+    if (subcommand === "minecraft") {
+      const minecraftName = context.options.getString("name");
+
+      // The Mojang lookup can be slow, so answer the interaction first
+      await context.deferReply({ flags: "Ephemeral" });
+
+      // Try the stored name first, then resolve the UUID in case the name changed
+      let record = findLinkByName(minecraftName);
+      if (!record) {
+        const uuid = await getUUIDFromUsername(minecraftName).catch(() => null);
+        record = uuid ? findLinkByUuid(uuid) : null;
+      }
+
+      if (!record) {
+        return context.editReply({
+          content: `No member is linked to the Minecraft account **${minecraftName}**.`,
+        });
+      }
+
+      return context.editReply({ embeds: [buildLinkEmbed(record)] });
+    }
+  },
+};
@@ -0,0 +1,290 @@
+import crypto from "crypto";
+import express from "express";
+import { AUDIT_EVENT_TYPES, describeAuditEvent, getRecentAuditEvents } from "./auditLog.js";
+import { cooldowns, verifiedUsers } from "./storage.js";
+import { recentSyncs } from "./sync.js";
+
+// Token staff use to open the dashboard; the dashboard is off until it is set
+const DASHBOARD_TOKEN = process.env.DASHBOARD_TOKEN;
+
+// How many sync runs and audit events the dashboard shows
+const RECENT_SYNC_COUNT = 10;
+const RECENT_AUDIT_COUNT = 25;
+
+// Columns members can be sorted by, with how to read each one from a row
+const SORT_COLUMNS = {
+  minecraftName: (row) => row.minecraftName?.toLowerCase() || "",
+  discord: (row) => row.discordTag?.toLowerCase() || row.discordId,
+  hypixelGuild: (row) => row.hypixelGuild?.toLowerCase() || "",
+  verifiedAt: (row) => row.verifiedAt || 0,
+  cooldownUntil: (row) => row.cooldownUntil || 0,
+};
+
+// Columns of the member table and exports, in order
+const MEMBER_COLUMNS = [
+  { key: "discordId", label: "Discord ID" },
+  { key: "discordTag", label: "Discord" },
+  { key: "minecraftName", label: "Minecraft" },
+  { key: "minecraftUuid", label: "UUID" },
+  { key: "hypixelGuild", label: "Hypixel Guild" },
+  { key: "rank", label: "Rank" },
+  { key: "verifiedAt", label: "Verified" },
+  { key: "cooldownUntil", label: "Cooldown Until" },
+];
+
+// Function to check a request's token in constant time
+// The token can be sent as a Bearer header or a ?token= query parameter
+function hasValidToken(req) {
+  const header = req.get("authorization") || "";
+  const given = header.startsWith("Bearer ") ? header.slice(7) : req.query.token;
+  if (typeof given !== "string") return false;
+
+  const expected = Buffer.from(DASHBOARD_TOKEN);
+  const received = Buffer.from(given);
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+}
+
+// Function to build the member rows straight from the bot's storage
+function getMemberRows(client) {
+  const now = Date.now();
+
+  return Array.from(verifiedUsers.values()).map((record) => {
+    const cooldownUntil = cooldowns.get(record.discordId);
+    return {
+      discordId: record.discordId,
+      discordTag: client.users.cache.get(record.discordId)?.tag || null,
+      minecraftName: record.minecraftName,
+      minecraftUuid: record.minecraftUuid,
+      hypixelGuild: record.hypixelGuild,
+      rank: record.rank,
+      verifiedAt: record.verifiedAt,
+      cooldownUntil: cooldownUntil > now ? cooldownUntil : null,
+    };
+  });
+}
+
+// Function to search and sort member rows from the query string
+// (?q= matches names, IDs, UUIDs and guilds; ?sort= and ?order=asc|desc)
+function queryMemberRows(rows, query) {
+  const search = typeof query.q === "string" ? query.q.trim().toLowerCase() : "";
+  const sort = SORT_COLUMNS[query.sort] ? query.sort : "verifiedAt";
+  const direction = query.order === "asc" ? 1 : -1;
+
+  const matches = search
+    ? rows.filter((row) =>
+        [
+          row.discordId,
+          row.discordTag,
+          row.minecraftName,
+          row.minecraftUuid,
+          row.hypixelGuild,
+        ].some((value) => value?.toLowerCase().includes(search)),
+      )
+    : rows;
+
+  const readValue = SORT_COLUMNS[sort];
+  const sorted = [...matches].sort((a, b) => {
+    const valueA = readValue(a);
+    const valueB = readValue(b);
+    if (valueA < valueB) return -direction;
+    if (valueA > valueB) return direction;
+    return 0;
+  });
+
+  return { rows: sorted, search, sort, order: direction === 1 ? "asc" : "desc" };
+}
+
+// Function to format a timestamp for exports and the page (blank if unset)
+function formatTimestamp(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : "";
+}
+
+// Function to turn member rows into CSV
+// Cells starting with a formula character are quoted with ' so spreadsheets don't run them
+function toCsv(rows) {
+  const escapeCell = (value) => {
+    let cell = value == null ? "" : String(value);
+    if (/^[=+\-@]/.test(cell)) cell = `'${cell}`;
+    return /[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+  };
+
+  const lines = [MEMBER_COLUMNS.map((column) => column.label).join(",")];
+  for (const row of rows) {
+    const cells = MEMBER_COLUMNS.map(({ key }) =>
+      key === "verifiedAt" || key === "cooldownUntil"
+        ? formatTimestamp(row[key])
+        : row[key],
+    );
+    lines.push(cells.map(escapeCell).join(","));
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+// Function to escape text for HTML
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Function to build a dashboard link that keeps the token and search
+function buildLink(path, token, params) {
+  const query = new URLSearchParams({ token, ...params });
+  return `${path}?${query}`;
+}
+
+// Function to render the dashboard page
+function renderDashboard(client, token, query, syncs, auditEvents) {
+  const { rows, search, sort, order } = queryMemberRows(getMemberRows(client), query);
+  const describeUser = (id) => client.users.cache.get(id)?.tag || id;
+
+  // Audit summaries are Discord markdown, so mentions and formatting are undone
+  const describeEvent = (event) =>
+    describeAuditEvent(event)
+      .replace(/\*\*|`/g, "")
+      .replace(/<@(\d+)>/g, (mention, id) => describeUser(id));
+
+  // Column headers link to sorting by that column, flipping the order on the active one
+  const headers = MEMBER_COLUMNS.map(({ key, label }) => {
+    const sortKey = key === "discordTag" ? "discord" : key;
+    if (!SORT_COLUMNS[sortKey]) return `<th>${label}</th>`;
+
+    const nextOrder = sort === sortKey && order === "desc" ? "asc" : "desc";
+    const arrow = sort === sortKey ? (order === "desc" ? " ▼" : " ▲") : "";
+    return `<th><a href="${escapeHtml(buildLink("/dashboard", token, { q: search, sort: sortKey, order: nextOrder }))}">${label}${arrow}</a></th>`;
+  }).join("");
+
+  const memberRows = rows
+    .map(
+      (row) => `<tr>
+        <td>${escapeHtml(row.discordId)}</td>
+        <td>${escapeHtml(row.discordTag || "")}</td>
+        <td>${escapeHtml(row.minecraftName || "Unknown")}</td>
+        <td><code>${escapeHtml(row.minecraftUuid || "")}</code></td>
+        <td>${escapeHtml(row.hypixelGuild || "No Guild")}</td>
+        <td>${escapeHtml(row.rank || "")}</td>
+        <td>${formatTimestamp(row.verifiedAt)}</td>
+        <td>${formatTimestamp(row.cooldownUntil)}</td>
+      </tr>`,
+    )
+    .join("");
+
+  const syncRows = syncs
+    .map(
+      (sync) => `<tr>
+        <td>${formatTimestamp(sync.at)}</td>
+        <td>${escapeHtml(sync.guildName)}</td>
+        <td>${escapeHtml(sync.hypixelGuild)}</td>
+        <td>${sync.error ? `❌ ${escapeHtml(sync.error)}` : `${sync.checked} checked, ${sync.changes} changes, ${sync.renames} renames, ${sync.failures} failed`}</td>
+      </tr>`,
+    )
+    .join("");
+
+  const auditRows = auditEvents
+    .map(
+      (event) => `<tr>
+        <td>${formatTimestamp(event.at)}</td>
+        <td>${escapeHtml(AUDIT_EVENT_TYPES[event.type]?.title || event.type)}</td>
+        <td>${escapeHtml(event.userId ? describeUser(event.userId) : "")}</td>
+        <td>${escapeHtml(event.actorId ? describeUser(event.actorId) : "Bot")}</td>
+        <td>${escapeHtml(describeEvent(event))}</td>
+      </tr>`,
+    )
+    .join("");
+
+  const exportParams = { q: search, sort, order };
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="robots" content="noindex">
+  <meta name="referrer" content="no-referrer">
+  <title>Verified Members</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; background: #1e1f22; color: #dbdee1; }
+    a { color: #99bcf7; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 2em; }
+    th, td { border: 1px solid #3f4147; padding: 4px 8px; text-align: left; font-size: 14px; }
+    th { background: #2b2d31; }
+    input { padding: 4px; }
+  </style>
+</head>
+<body>
+  <h1>Verified Members (${rows.length} of ${verifiedUsers.size})</h1>
+  <form method="get" action="/dashboard">
+    <input type="hidden" name="token" value="${escapeHtml(token)}">
+    <input type="hidden" name="sort" value="${escapeHtml(sort)}">
+    <input type="hidden" name="order" value="${escapeHtml(order)}">
+    <input type="search" name="q" value="${escapeHtml(search)}" placeholder="Search name, ID, UUID or guild">
+    <button type="submit">Search</button>
+    Export: <a href="${escapeHtml(buildLink("/dashboard/members.csv", token, exportParams))}">CSV</a>
+    · <a href="${escapeHtml(buildLink("/dashboard/members.json", token, exportParams))}">JSON</a>
+  </form>
+  <table>
+    <tr>${headers}</tr>
+    ${memberRows || `<tr><td colspan="${MEMBER_COLUMNS.length}">No members found.</td></tr>`}
+  </table>
+  <h2>Recent Syncs</h2>
+  <table>
+    <tr><th>Time</th><th>Server</th><th>Hypixel Guild</th><th>Result</th></tr>
+    ${syncRows || `<tr><td colspan="4">No syncs since the bot started.</td></tr>`}
+  </table>
+  <h2>Recent Audit Events</h2>
+  <table>
+    <tr><th>Time</th><th>Event</th><th>Member</th><th>By</th><th>Details</th></tr>
+    ${auditRows || `<tr><td colspan="5">No audit events yet.</td></tr>`}
+  </table>
+</body>
+</html>`;
+}
+
+// Function to create the read-only dashboard routes (mounted at /dashboard)
+export function createDashboardRouter(client) {
+  const router = express.Router();
+
+  // Every route needs the token; without one configured the dashboard is off
+  router.use((req, res, next) => {
+    if (!DASHBOARD_TOKEN) {
+      return res.status(404).send("The dashboard is disabled. Set DASHBOARD_TOKEN to enable it.");
+    }
+    if (!hasValidToken(req)) {
+      return res.status(401).send("Missing or invalid dashboard token.");
+    }
+    res.set("Cache-Control", "no-store");
+    next();
+  });
+
+  router.get("/", async (req, res) => {
+    const auditEvents = await getRecentAuditEvents(RECENT_AUDIT_COUNT).catch((error) => {
+      console.error("Failed to read audit events for the dashboard:", error);
+      return [];
+    });
+    res.send(
+      renderDashboard(
+        client,
+        DASHBOARD_TOKEN,
+        req.query,
+        recentSyncs.slice(0, RECENT_SYNC_COUNT),
+        auditEvents,
+      ),
+    );
+  });
+
+  router.get("/members.json", (req, res) => {
+    const { rows } = queryMemberRows(getMemberRows(client), req.query);
+    res.attachment("verified-members.json").json(rows);
+  });
+
+  router.get("/members.csv", (req, res) => {
+    const { rows } = queryMemberRows(getMemberRows(client), req.query);
+    res.attachment("verified-members.csv").type("text/csv").send(toCsv(rows));
+  });
+
+  return router;
+}
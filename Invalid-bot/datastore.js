@@ -0,0 +1,260 @@
+import fs from "fs";
+import { createRequire } from "module";
+import path from "path";
+
+// Where data is kept, and which backend stores it: "json" (one file per
+// document) or "sqlite" (one database file, needs the better-sqlite3 package)
+export const DATA_DIR = path.resolve(process.env.DATA_DIR || ".");
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || "json").toLowerCase();
+
+// How often each document gets a backup, and how many backups are kept
+const BACKUP_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_BACKUPS = 24;
+
+// A document could not be loaded or saved safely
+export class StorageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "StorageError";
+  }
+}
+
+// Function to write a file atomically: write a temporary file, flush it to
+// disk, then rename it over the target so readers only ever see a whole file
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tempPath, "w");
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, filePath);
+}
+
+// Function to create the JSON file backend
+// Documents live in <name>.json, backups in backups/<name>-<timestamp>.json
+function createJsonBackend(dir) {
+  const backupDir = path.join(dir, "backups");
+  const documentPath = (name) => path.join(dir, `${name}.json`);
+
+  // Function to list a document's backup files, newest first
+  const listBackupFiles = (name) => {
+    if (!fs.existsSync(backupDir)) return [];
+    return fs
+      .readdirSync(backupDir)
+      .filter((file) => new RegExp(`^${name}-\\d+\\.json$`).test(file))
+      .map((file) => ({ id: file, savedAt: Number(file.slice(name.length + 1, -5)) }))
+      .sort((a, b) => b.savedAt - a.savedAt);
+  };
+
+  return {
+    read(name) {
+      try {
+        return fs.readFileSync(documentPath(name), "utf-8");
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+    write(name, content) {
+      fs.mkdirSync(dir, { recursive: true });
+      writeFileAtomic(documentPath(name), content);
+    },
+    backup(name, content) {
+      fs.mkdirSync(backupDir, { recursive: true });
+      writeFileAtomic(path.join(backupDir, `${name}-${Date.now()}.json`), content);
+
+      for (const { id } of listBackupFiles(name).slice(MAX_BACKUPS)) {
+        fs.rmSync(path.join(backupDir, id), { force: true });
+      }
+    },
+    listBackups: listBackupFiles,
+    readBackup(name, id) {
+      return fs.readFileSync(path.join(backupDir, id), "utf-8");
+    },
+    preserveCorrupt(name, content) {
+      const corruptPath = path.join(dir, `${name}.corrupt-${Date.now()}.json`);
+      writeFileAtomic(corruptPath, content);
+      return corruptPath;
+    },
+  };
+}
+
+// Function to create the SQLite backend
+// Documents are rows of one database file; writes are atomic transactions
+function createSqliteBackend(dir) {
+  let Database;
+  try {
+    Database = createRequire(import.meta.url)("better-sqlite3");
+  } catch {
+    throw new StorageError(
+      'STORAGE_BACKEND=sqlite needs the "better-sqlite3" package. Install it with `npm install better-sqlite3`.',
+    );
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  const db = new Database(path.join(dir, "bot.sqlite"));
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS documents (
+      name TEXT PRIMARY KEY,
+      content TEXT NOT NULL,
+      saved_at INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS backups (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      content TEXT NOT NULL,
+      saved_at INTEGER NOT NULL,
+      corrupt INTEGER NOT NULL DEFAULT 0
+    );
+  `);
+
+  const statements = {
+    read: db.prepare("SELECT content FROM documents WHERE name = ?"),
+    write: db.prepare(
+      "INSERT INTO documents (name, content, saved_at) VALUES (?, ?, ?) ON CONFLICT(name) DO UPDATE SET content = excluded.content, saved_at = excluded.saved_at",
+    ),
+    backup: db.prepare(
+      "INSERT INTO backups (name, content, saved_at, corrupt) VALUES (?, ?, ?, ?)",
+    ),
+    prune: db.prepare(
+      "DELETE FROM backups WHERE name = ? AND corrupt = 0 AND id NOT IN (SELECT id FROM backups WHERE name = ? AND corrupt = 0 ORDER BY id DESC LIMIT ?)",
+    ),
+    listBackups: db.prepare(
+      "SELECT id, saved_at AS savedAt FROM backups WHERE name = ? AND corrupt = 0 ORDER BY id DESC",
+    ),
+    readBackup: db.prepare("SELECT content FROM backups WHERE name = ? AND id = ?"),
+  };
+
+  // JSON files left from before the switch are imported on first load
+  const jsonBackend = createJsonBackend(dir);
+
+  return {
+    read(name) {
+      return statements.read.get(name)?.content ?? jsonBackend.read(name);
+    },
+    write(name, content) {
+      statements.write.run(name, content, Date.now());
+    },
+    backup: db.transaction((name, content) => {
+      statements.backup.run(name, content, Date.now(), 0);
+      statements.prune.run(name, name, MAX_BACKUPS);
+    }),
+    listBackups(name) {
+      return statements.listBackups.all(name);
+    },
+    readBackup(name, id) {
+      return statements.readBackup.get(name, id).content;
+    },
+    preserveCorrupt(name, content) {
+      statements.backup.run(name, content, Date.now(), 1);
+      return `the backups table of ${path.join(dir, "bot.sqlite")}`;
+    },
+  };
+}
+
+// Function to create the configured backend
+function createBackend() {
+  if (STORAGE_BACKEND === "json") return createJsonBackend(DATA_DIR);
+  if (STORAGE_BACKEND === "sqlite") return createSqliteBackend(DATA_DIR);
+  throw new StorageError(
+    `Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (use "json" or "sqlite").`,
+  );
+}
+
+const backend = createBackend();
+
+// Function to parse stored content into { version, data }
+// Documents are stored as { schemaVersion, savedAt, data }; anything else is a
+// file from before versioning, which counts as version 0
+function parseDocument(content) {
+  const parsed = JSON.parse(content);
+  if (parsed && typeof parsed.schemaVersion === "number" && "data" in parsed) {
+    return { version: parsed.schemaVersion, data: parsed.data };
+  }
+  return { version: 0, data: parsed };
+}
+
+// Function to read a document, falling back to the newest readable backup
+// when it can't be parsed. The unreadable copy is always kept, and if no
+// backup can be read either, loading fails rather than starting empty
+function readDocument(name) {
+  const content = backend.read(name);
+  if (content === null) return null;
+
+  try {
+    return { ...parseDocument(content), content };
+  } catch (error) {
+    const keptAt = backend.preserveCorrupt(name, content);
+    console.error(`Storage: ${name} is unreadable (${error.message}); kept a copy in ${keptAt}`);
+
+    for (const { id, savedAt } of backend.listBackups(name)) {
+      try {
+        const backupContent = backend.readBackup(name, id);
+        const document = parseDocument(backupContent);
+        console.warn(
+          `Storage: restored ${name} from the backup of ${new Date(savedAt).toISOString()}`,
+        );
+        return { ...document, content: backupContent };
+      } catch {
+        // Try the next older backup
+      }
+    }
+
+    throw new StorageError(
+      `${name} is unreadable and has no readable backup. Refusing to start with empty data; fix or remove the file (a copy is in ${keptAt}).`,
+    );
+  }
+}
+
+// Function to open a versioned document
+// migrations[i] upgrades the data from schema version i to i + 1, so the
+// current version is migrations.length. A missing document starts as
+// `defaults`. Returns { data, save(data) }, where save writes atomically
+// and takes a backup at most once per BACKUP_INTERVAL_MS
+export function openDocument(name, { migrations = [], defaults = {} } = {}) {
+  const version = migrations.length;
+  const stored = readDocument(name);
+  let lastBackupAt = backend.listBackups(name)[0]?.savedAt || 0;
+
+  // Function to write the document in its current version
+  const save = (data) => {
+    const content = JSON.stringify({ schemaVersion: version, savedAt: Date.now(), data }, null, 2);
+    backend.write(name, content);
+
+    if (Date.now() - lastBackupAt >= BACKUP_INTERVAL_MS) {
+      lastBackupAt = Date.now();
+      try {
+        backend.backup(name, content);
+      } catch (error) {
+        console.error(`Storage: failed to back up ${name}:`, error);
+      }
+    }
+  };
+
+  if (!stored) {
+    return { data: structuredClone(defaults), save };
+  }
+
+  if (stored.version > version) {
+    throw new StorageError(
+      `${name} was written by a newer version of the bot (schema ${stored.version}, this version understands up to ${version}).`,
+    );
+  }
+
+  // Upgrade older documents step by step, keeping the old copy as a backup
+  let data = stored.data;
+  if (stored.version < version) {
+    backend.backup(name, stored.content);
+    for (let step = stored.version; step < version; step++) {
+      data = migrations[step](data);
+    }
+    save(data);
+    console.log(`Storage: migrated ${name} from schema ${stored.version} to ${version}`);
+  }
+
+  return { data, save };
+}
@@ -0,0 +1,125 @@
+import { calculateHypixelLevel } from "./hypixel.js";
+
+// Function to format a number with thousands separators
+function formatNumber(value) {
+  return Math.round(value || 0).toLocaleString("en-US");
+}
+
+// Function to format a figure players can hide in their API settings
+function formatOptional(value) {
+  return value === undefined ? "Hidden" : formatNumber(value);
+}
+
+// Function to format a ratio like FKDR or WLR to two decimals
+// With nothing to divide by, the ratio is the top figure itself, as on Hypixel
+function formatRatio(top = 0, bottom = 0) {
+  return (bottom ? top / bottom : top).toFixed(2);
+}
+
+// SkyWars experience needed for levels 1-12; every level after that takes 10,000
+const SKYWARS_LEVEL_XP = [0, 20, 70, 150, 250, 500, 1000, 2000, 3500, 6000, 10000, 15000];
+
+// Function to calculate a SkyWars level from SkyWars experience
+function calculateSkyWarsLevel(experience = 0) {
+  const lastThreshold = SKYWARS_LEVEL_XP[SKYWARS_LEVEL_XP.length - 1];
+  if (experience >= lastThreshold) {
+    return SKYWARS_LEVEL_XP.length + Math.floor((experience - lastThreshold) / 10000);
+  }
+  return SKYWARS_LEVEL_XP.findLastIndex((threshold) => experience >= threshold) + 1;
+}
+
+// Function to format a timestamp as a date, or "Hidden" when the player hides it
+function formatDate(timestamp) {
+  return timestamp
+    ? new Date(timestamp).toLocaleDateString("en-GB", {
+        day: "numeric",
+        month: "short",
+        year: "numeric",
+      })
+    : "Hidden";
+}
+
+// Stat card definitions for each game mode
+// Each mode has a label and a function that turns Hypixel player data into the
+// card's headline and a list of { label, value } figures
+export const GAME_MODES = {
+  bedwars: {
+    label: "Bed Wars",
+    getStats(player) {
+      const stats = player.stats?.Bedwars || {};
+      return {
+        headline: `${formatNumber(player.achievements?.bedwars_level)} Stars`,
+        figures: [
+          { label: "FKDR", value: formatRatio(stats.final_kills_bedwars, stats.final_deaths_bedwars) },
+          { label: "WLR", value: formatRatio(stats.wins_bedwars, stats.losses_bedwars) },
+          { label: "BBLR", value: formatRatio(stats.beds_broken_bedwars, stats.beds_lost_bedwars) },
+          { label: "Final Kills", value: formatNumber(stats.final_kills_bedwars) },
+          { label: "Wins", value: formatNumber(stats.wins_bedwars) },
+          { label: "Beds Broken", value: formatNumber(stats.beds_broken_bedwars) },
+          { label: "KDR", value: formatRatio(stats.kills_bedwars, stats.deaths_bedwars) },
+          { label: "Winstreak", value: formatOptional(stats.winstreak) },
+          { label: "Coins", value: formatNumber(stats.coins) },
+        ],
+      };
+    },
+  },
+  skywars: {
+    label: "SkyWars",
+    getStats(player) {
+      const stats = player.stats?.SkyWars || {};
+      return {
+        headline: `Level ${calculateSkyWarsLevel(stats.skywars_experience)}`,
+        figures: [
+          { label: "KDR", value: formatRatio(stats.kills, stats.deaths) },
+          { label: "WLR", value: formatRatio(stats.wins, stats.losses) },
+          { label: "Winstreak", value: formatOptional(stats.win_streak) },
+          { label: "Kills", value: formatNumber(stats.kills) },
+          { label: "Wins", value: formatNumber(stats.wins) },
+          { label: "Souls", value: formatNumber(stats.souls) },
+          { label: "Deaths", value: formatNumber(stats.deaths) },
+          { label: "Losses", value: formatNumber(stats.losses) },
+          { label: "Coins", value: formatNumber(stats.coins) },
+        ],
+      };
+    },
+  },
+  duels: {
+    label: "Duels",
+    getStats(player) {
+      const stats = player.stats?.Duels || {};
+      return {
+        headline: `${formatNumber(stats.wins)} Wins`,
+        figures: [
+          { label: "WLR", value: formatRatio(stats.wins, stats.losses) },
+          { label: "KDR", value: formatRatio(stats.kills, stats.deaths) },
+          { label: "Winstreak", value: formatOptional(stats.current_winstreak) },
+          { label: "Best Winstreak", value: formatOptional(stats.best_overall_winstreak) },
+          { label: "Kills", value: formatNumber(stats.kills) },
+          { label: "Losses", value: formatNumber(stats.losses) },
+          { label: "Deaths", value: formatNumber(stats.deaths) },
+          { label: "Games", value: formatNumber(stats.games_played_duels) },
+          { label: "Coins", value: formatNumber(stats.coins) },
+        ],
+      };
+    },
+  },
+  general: {
+    label: "Network",
+    getStats(player) {
+      return {
+        headline: `Level ${calculateHypixelLevel(player.networkExp || 0)}`,
+        figures: [
+          { label: "Karma", value: formatNumber(player.karma) },
+          { label: "Achievement Points", value: formatNumber(player.achievementPoints) },
+          { label: "Quests", value: formatNumber(player.achievements?.general_quest_master) },
+          { label: "Ranks Gifted", value: formatNumber(player.giftingMeta?.ranksGiven) },
+          { label: "Challenges", value: formatNumber(player.achievements?.general_challenger) },
+          { label: "Daily Rewards", value: formatNumber(player.totalRewards) },
+          { label: "First Login", value: formatDate(player.firstLogin) },
+          { label: "Last Login", value: formatDate(player.lastLogin) },
+          { label: "Last Game", value: player.mostRecentGameType?.replace(/_/g, " ") || "Hidden" },
+        ],
+      };
+    },
+  },
+};
@@ -0,0 +1,229 @@
+import { openDocument } from "./datastore.js";
+import { WELCOME_THEMES } from "./welcomeThemes.js";
+
+// Function to check a text setting is a whole number (0 or more)
+function wholeNumber(value) {
+  return /^\d+$/.test(value) ? null : "must be a whole number (0 or more)";
+}
+
+// Function to build a check that a text setting is one of a fixed set of values
+function oneOf(choices) {
+  return (value) =>
+    choices.includes(value) ? null : `must be one of: ${choices.join(", ")}`;
+}
+
+// Every configurable setting. Roles and channels are stored by ID; until an ID
+// is set, they are looked up by their default name so existing servers keep working
+// (settings with a null default name stay unset until configured).
+// Text settings with a `validate` function only accept values it returns null for
+export const SETTINGS = {
+  staffRole: {
+    type: "role",
+    label: "Staff role",
+    defaultName: "👔 • Angel Staff",
+  },
+  verifiedRole: {
+    type: "role",
+    label: "Verified role",
+    defaultName: "✅• Verified",
+  },
+  unverifiedRole: {
+    type: "role",
+    label: "Unverified role",
+    defaultName: "❌• Unverified",
+  },
+  angelRole: {
+    type: "role",
+    label: "Angel role",
+    defaultName: "👼 • Angel",
+  },
+  angelLordRole: {
+    type: "role",
+    label: "Angel Lord role",
+    defaultName: "🪽 • Angel Lord",
+  },
+  angelKingRole: {
+    type: "role",
+    label: "Angel King role",
+    defaultName: "👼🪽 • Angel King",
+  },
+  verifyChannel: {
+    type: "channel",
+    label: "Verify channel",
+    defaultName: "『✅』verify",
+  },
+  welcomeChannel: {
+    type: "channel",
+    label: "Welcome channel",
+    defaultName: "『👋』welcome",
+  },
+  staffChannel: {
+    type: "channel",
+    label: "Staff channel",
+    defaultName: null,
+  },
+  auditChannel: {
+    type: "channel",
+    label: "Audit log channel",
+    defaultName: null,
+  },
+  applicationChannel: {
+    type: "channel",
+    label: "Application review channel (staff channel if unset)",
+    defaultName: null,
+  },
+  hypixelGuild: {
+    type: "text",
+    label: "Linked Hypixel guild",
+    defaultValue: "Heavenly Spirits",
+  },
+  nicknameTemplate: {
+    type: "text",
+    label: "Nickname template",
+    defaultValue: "[{rank}] {name}",
+  },
+  angelLordRanks: {
+    type: "text",
+    label: "Angel Lord guild ranks",
+    defaultValue: "Officer",
+  },
+  angelKingRanks: {
+    type: "text",
+    label: "Angel King guild ranks",
+    defaultValue: "Guild Master",
+  },
+  gexpRequirement: {
+    type: "text",
+    label: "Weekly GEXP requirement",
+    defaultValue: "50000",
+    validate: wholeNumber,
+  },
+  gexpGraceDays: {
+    type: "text",
+    label: "New member grace period (days)",
+    defaultValue: "7",
+    validate: wholeNumber,
+  },
+  applyMinLevel: {
+    type: "text",
+    label: "Application minimum Hypixel level",
+    defaultValue: "50",
+    validate: wholeNumber,
+  },
+  applyStatRequirements: {
+    type: "text",
+    label: "Application stat requirements (e.g. bedwarsStars=100)",
+    defaultValue: "none",
+  },
+  welcomeTheme: {
+    type: "text",
+    label: "Welcome card theme",
+    defaultValue: "classic",
+    validate: oneOf(Object.keys(WELCOME_THEMES)),
+  },
+  joinMessageDelivery: {
+    type: "text",
+    label: "Join message delivery (dm, channel or off)",
+    defaultValue: "dm",
+    validate: oneOf(["dm", "channel", "off"]),
+  },
+  joinMessage: {
+    type: "text",
+    label: "Join message ({user}, {server}, {channel})",
+    defaultValue:
+      "Welcome to **{server}**, {user}! Verify your Minecraft account in {channel} to get access.",
+  },
+  unverifiedKickDays: {
+    type: "text",
+    label: "Kick unverified members after days (0 = never)",
+    defaultValue: "0",
+    validate: wholeNumber,
+  },
+};
+
+// Persistent storage for per-server configuration
+// Schema 1 moves the pre-versioning file (overrides keyed by guild ID) under `guilds`
+const document = openDocument("guildConfig", {
+  defaults: { guilds: {} },
+  migrations: [(data) => ({ guilds: data || {} })],
+});
+
+// Per-guild overrides, keyed by Discord guild ID
+const guildConfigs = new Map(Object.entries(document.data.guilds));
+
+// Function to save the configuration
+function saveGuildConfigs() {
+  document.save({ guilds: Object.fromEntries(guildConfigs) });
+}
+
+// Function to get the stored overrides for a guild (empty if none)
+export function getGuildConfig(guildId) {
+  return { ...(guildConfigs.get(guildId) || {}) };
+}
+
+// Function to check a value for a text setting
+// Returns why the value is invalid, or null if it can be saved
+export function validateSetting(key, value) {
+  const error = SETTINGS[key].validate?.(value);
+  return error ? `${SETTINGS[key].label} ${error}.` : null;
+}
+
+// Function to store a setting for a guild
+export function setGuildSetting(guildId, key, value) {
+  if (!SETTINGS[key]) throw new Error(`Unknown setting: ${key}`);
+
+  guildConfigs.set(guildId, { ...getGuildConfig(guildId), [key]: value });
+  saveGuildConfigs();
+}
+
+// Function to reset one setting (or every setting) for a guild to the default
+export function resetGuildSetting(guildId, key = null) {
+  if (key) {
+    const config = getGuildConfig(guildId);
+    delete config[key];
+    guildConfigs.set(guildId, config);
+  } else {
+    guildConfigs.delete(guildId);
+  }
+  saveGuildConfigs();
+}
+
+// Function to resolve a configured role, falling back to its default name
+export function getConfiguredRole(guild, key) {
+  const roleId = getGuildConfig(guild.id)[key];
+  if (roleId) return guild.roles.cache.get(roleId) || null;
+  if (!SETTINGS[key].defaultName) return null;
+
+  return (
+    guild.roles.cache.find((role) => role.name === SETTINGS[key].defaultName) ||
+    null
+  );
+}
+
+// Function to resolve a configured channel, falling back to its default name
+export function getConfiguredChannel(guild, key) {
+  const channelId = getGuildConfig(guild.id)[key];
+  if (channelId) return guild.channels.cache.get(channelId) || null;
+  if (!SETTINGS[key].defaultName) return null;
+
+  return (
+    guild.channels.cache.find(
+      (channel) => channel.name === SETTINGS[key].defaultName,
+    ) || null
+  );
+}
+
+// Function to get a configured text setting, falling back to its default value
+export function getConfiguredValue(guild, key) {
+  return getGuildConfig(guild.id)[key] ?? SETTINGS[key].defaultValue;
+}
+
+// Function to get a numeric text setting. A value that isn't a number (saved
+// before /config validated it) falls back to the default rather than 0
+export function getConfiguredNumber(guild, key) {
+  const value = Number(getConfiguredValue(guild, key));
+  if (Number.isFinite(value) && value >= 0) return value;
+
+  console.warn(`${SETTINGS[key].label} in ${guild.name} is not a number; using the default`);
+  return Number(SETTINGS[key].defaultValue);
+}
@@ -0,0 +1,83 @@
+import { logAuditEvent } from "./auditLog.js";
+import { getConfiguredRole, getConfiguredValue } from "./guildConfig.js";
+
+// Discord roles driven by in-game guild rank, highest first, with the setting
+// holding the comma-separated Hypixel guild ranks that grant each one
+const RANK_ROLES = [
+  { roleKey: "angelKingRole", ranksKey: "angelKingRanks" },
+  { roleKey: "angelLordRole", ranksKey: "angelLordRanks" },
+];
+
+// Function to find which rank role (if any) a Hypixel guild rank maps to
+export function getRankRoleKey(guild, rank) {
+  if (!rank) return null;
+
+  const normalizedRank = rank.trim().toLowerCase();
+  const match = RANK_ROLES.find(({ ranksKey }) =>
+    getConfiguredValue(guild, ranksKey)
+      .split(",")
+      .some((mappedRank) => mappedRank.trim().toLowerCase() === normalizedRank),
+  );
+
+  return match ? match.roleKey : null;
+}
+
+// Function to find a player's entry in a Hypixel guild's member list
+export function findHypixelGuildMember(hypixelGuild, uuid) {
+  return hypixelGuild?.members?.find((member) => member.uuid === uuid) || null;
+}
+
+// Function to make a member's Angel, Angel Lord and Angel King roles match their
+// place in the linked Hypixel guild. `hypixelMember` is the player's entry in the
+// guild's member list, or null when they are not in the guild
+export async function applyGuildRoles(member, hypixelMember, reason) {
+  const desiredRoles = new Set();
+  if (hypixelMember) {
+    desiredRoles.add("angelRole");
+
+    const rankRoleKey = getRankRoleKey(member.guild, hypixelMember.rank);
+    if (rankRoleKey) desiredRoles.add(rankRoleKey);
+  }
+
+  const changes = [];
+  const failures = [];
+  const managedRoles = ["angelRole", ...RANK_ROLES.map(({ roleKey }) => roleKey)];
+
+  for (const roleKey of managedRoles) {
+    const role = getConfiguredRole(member.guild, roleKey);
+    if (!role) continue;
+
+    const shouldHave = desiredRoles.has(roleKey);
+    if (shouldHave === member.roles.cache.has(role.id)) continue;
+
+    const change = { role, action: shouldHave ? "added" : "removed" };
+    try {
+      if (shouldHave) {
+        await member.roles.add(role, reason);
+      } else {
+        await member.roles.remove(role, reason);
+      }
+      changes.push(change);
+    } catch (error) {
+      console.error(`Failed to update roles for ${member.user.tag}:`, error);
+      failures.push(change);
+    }
+  }
+
+  if (changes.length || failures.length) {
+    const describe = ({ role, action }) => ({
+      roleId: role.id,
+      roleName: role.name,
+      action,
+    });
+    await logAuditEvent(member.guild, {
+      type: "roleChange",
+      userId: member.id,
+      reason,
+      changes: changes.map(describe),
+      failures: failures.map(describe),
+    });
+  }
+
+  return { changes, failures };
+}
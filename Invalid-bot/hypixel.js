@@ -0,0 +1,149 @@
+// Function to calculate Hypixel level (rounded to natural numbers)
+export function calculateHypixelLevel(networkExp) {
+  const level = Math.sqrt(2 * networkExp + 30625) / 50 - 2.5;
+  return Math.floor(level); // Round down to natural number
+}
+
+// Guild experience needed for each of the first levels; every level after that
+// takes the last amount again
+const GUILD_LEVEL_EXP = [
+  100000, 150000, 250000, 500000, 750000, 1000000, 1250000, 1500000, 2000000,
+  2500000, 2500000, 2500000, 2500000, 2500000, 3000000,
+];
+
+// Function to calculate a Hypixel guild's level (rounded down) from its total experience
+export function calculateGuildLevel(guildExp) {
+  let remaining = guildExp || 0;
+  let level = 0;
+
+  for (const needed of GUILD_LEVEL_EXP) {
+    if (remaining < needed) return level;
+    remaining -= needed;
+    level++;
+  }
+
+  return level + Math.floor(remaining / GUILD_LEVEL_EXP[GUILD_LEVEL_EXP.length - 1]);
+}
+
+// Function to total a guild member's experience over the last seven days
+export function getWeeklyGuildExp(guildMember) {
+  return Object.values(guildMember.expHistory || {}).reduce((sum, exp) => sum + exp, 0);
+}
+
+// Minecraft chat colours by the names Hypixel uses for them
+export const MINECRAFT_COLORS = {
+  BLACK: "#000000",
+  DARK_BLUE: "#0000AA",
+  DARK_GREEN: "#00AA00",
+  DARK_AQUA: "#00AAAA",
+  DARK_RED: "#AA0000",
+  DARK_PURPLE: "#AA00AA",
+  GOLD: "#FFAA00",
+  GRAY: "#AAAAAA",
+  DARK_GRAY: "#555555",
+  BLUE: "#5555FF",
+  GREEN: "#55FF55",
+  AQUA: "#55FFFF",
+  RED: "#FF5555",
+  LIGHT_PURPLE: "#FF55FF",
+  YELLOW: "#FFFF55",
+  WHITE: "#FFFFFF",
+};
+
+// Function to format Hypixel rank and get rank color
+// color is the rank and name colour, plusColor the colour of the rank's "+"s
+export function formatHypixelRank(playerData) {
+  // MVP+ and MVP++ players pick their "+" colour (red by default), and MVP++
+  // players can switch their name between gold and aqua
+  const plusColor = MINECRAFT_COLORS[playerData?.rankPlusColor] || MINECRAFT_COLORS.RED;
+  const superstarColor =
+    MINECRAFT_COLORS[playerData?.monthlyRankColor] || MINECRAFT_COLORS.GOLD;
+
+  const rankMapping = {
+    SUPERSTAR: { name: "MVP++", color: superstarColor, plusColor }, // MVP++ color
+    MVP_PLUS: { name: "MVP+", color: "#55FFFF", plusColor }, // MVP+ color
+    MVP: { name: "MVP", color: "#55FFFF", plusColor: "#55FFFF" }, // MVP color
+    VIP_PLUS: { name: "VIP+", color: "#55FF55", plusColor: "#FFAA00" }, // VIP+ color
+    VIP: { name: "VIP", color: "#55FF55", plusColor: "#55FF55" }, // VIP color
+    YOUTUBER: { name: "YOUTUBER", color: "#FF5555", plusColor: "#FF5555" }, // YOUTUBER color
+    ADMIN: { name: "ADMIN", color: "#FF5555", plusColor: "#FF5555" }, // ADMIN color
+    MODERATOR: { name: "MODERATOR", color: "#00AA00", plusColor: "#00AA00" }, // MODERATOR color
+  };
+
+  // Check for special ranks (e.g., ADMIN, MODERATOR, YOUTUBER)
+  if (playerData.rank && playerData.rank !== "NORMAL") {
+    return (
+      rankMapping[playerData.rank] || {
+        name: playerData.rank,
+        color: "#AAAAAA",
+        plusColor: "#AAAAAA",
+      }
+    ); // Default color for unknown ranks
+  }
+
+  // Check for MVP++ (monthly subscription rank)
+  if (playerData.monthlyPackageRank === "SUPERSTAR") {
+    return rankMapping.SUPERSTAR;
+  }
+
+  // Check for other monthly ranks (e.g., MVP_PLUS)
+  if (
+    playerData.monthlyPackageRank &&
+    playerData.monthlyPackageRank !== "NONE"
+  ) {
+    return (
+      rankMapping[playerData.monthlyPackageRank] || {
+        name: playerData.monthlyPackageRank,
+        color: "#AAAAAA",
+        plusColor: "#AAAAAA",
+      }
+    );
+  }
+
+  // Check for purchased ranks (e.g., VIP, VIP+, MVP, MVP+)
+  if (playerData.newPackageRank) {
+    return (
+      rankMapping[playerData.newPackageRank] || {
+        name: playerData.newPackageRank,
+        color: "#AAAAAA",
+        plusColor: "#AAAAAA",
+      }
+    );
+  }
+
+  // Default to "Non-Rank" if no rank is found
+  return { name: "Non-Rank", color: "#AAAAAA", plusColor: "#AAAAAA" };
+}
+
+// Function to normalize a Discord name for comparison
+// Ignores case, surrounding/extra whitespace, a leading "@" and the "#0" that
+// migrated accounts still report as their discriminator
+function normalizeDiscordName(name) {
+  return name
+    .trim()
+    .replace(/^@/, "")
+    .replace(/#0$/, "")
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+}
+
+// Function to list the Discord names a player may have linked on Hypixel:
+// the new username, the legacy name#1234 form and the global display name
+export function getAcceptedDiscordNames(user) {
+  const names = [user.username];
+  if (user.discriminator && user.discriminator !== "0") {
+    names.push(`${user.username}#${user.discriminator}`);
+  }
+  if (user.globalName) names.push(user.globalName);
+  return names;
+}
+
+// Function to check whether the Discord name linked on Hypixel belongs to a user
+export function matchesDiscordLink(linkedName, user) {
+  if (!linkedName) return false;
+
+  const normalized = normalizeDiscordName(linkedName);
+  return getAcceptedDiscordNames(user).some(
+    (name) => normalizeDiscordName(name) === normalized,
+  );
+}
@@ -0,0 +1,288 @@
+import { createCanvas, loadImage, registerFont } from "canvas";
+import { GifCodec, GifFrame, GifUtil } from "gifwrap";
+import { drawAvatar, renderAvatar } from "./avatar.js";
+import { loadSkin } from "./skinTexture.js";
+import {
+  DEFAULT_WELCOME_THEME,
+  getWelcomeTheme,
+  pickBackground,
+} from "./welcomeThemes.js";
+
+// Register Minecraft font
+registerFont("./Minecraft.ttf", { family: "Minecraft" }); // Ensure "Minecraft.ttf" is in the same directory
+
+// Text panel on the welcome card; the avatar stands in the space beside it
+const PANEL_WIDTH = 400;
+const PANEL_PADDING = 10;
+
+// Smallest font size long lines shrink to
+const MIN_FONT_SIZE = 10;
+
+// Function to draw an image over the whole canvas, cropped to keep its aspect ratio
+function drawCover(ctx, image, width, height) {
+  const scale = Math.max(width / image.width, height / image.height);
+  const drawWidth = image.width * scale;
+  const drawHeight = image.height * scale;
+  ctx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+}
+
+// Function to build a player's "[MVP+] Name" as coloured segments, the way
+// Hypixel colours ranks: brackets and name in the rank colour, "+"s in the plus colour
+function getNameSegments(minecraftName, rank) {
+  if (rank.name === "Non-Rank") {
+    return [{ text: minecraftName, color: rank.color }];
+  }
+
+  const [, base, pluses] = rank.name.match(/^(.*?)(\+*)$/);
+  return [
+    { text: `[${base}`, color: rank.color },
+    { text: pluses, color: rank.plusColor },
+    { text: `] ${minecraftName}`, color: rank.color },
+  ];
+}
+
+// Function to draw a line of coloured segments, shrinking the font until the
+// line fits in maxWidth
+function drawFittedLine(ctx, segments, x, y, maxWidth, font) {
+  const measure = () =>
+    segments.reduce((width, segment) => width + ctx.measureText(segment.text).width, 0);
+
+  let size = font.size;
+  ctx.font = `${size}px ${font.family}`;
+  while (size > MIN_FONT_SIZE && measure() > maxWidth) {
+    size--;
+    ctx.font = `${size}px ${font.family}`;
+  }
+
+  for (const segment of segments) {
+    ctx.fillStyle = segment.color;
+    ctx.fillText(segment.text, x, y);
+    x += ctx.measureText(segment.text).width;
+  }
+}
+
+// Function to draw a card's background and the player's avatar, laid out for
+// the theme. Returns the x position of the text panel, which sits opposite the avatar
+async function drawCardBackdrop(ctx, canvas, theme, rankName, uuid) {
+  // Load the background image
+  const backgroundFile = pickBackground(theme, rankName);
+  const background = await loadImage(`./${backgroundFile}`).catch((err) => {
+    console.error(`Failed to load background image ${backgroundFile}:`, err);
+    return null;
+  });
+
+  if (background) {
+    drawCover(ctx, background, canvas.width, canvas.height);
+  }
+
+  const avatarOnLeft = theme.layout.avatar === "left";
+  const panelX = avatarOnLeft ? canvas.width - PANEL_WIDTH - 20 : 20;
+  const avatarCenterX = avatarOnLeft ? panelX / 2 : canvas.width - 90;
+
+  // Render the player's own skin, turned to face the text
+  let avatar;
+  try {
+    const skin = await loadSkin(uuid);
+    avatar = renderAvatar(skin, {
+      mode: "body",
+      yaw: avatarOnLeft ? 30 : -30,
+      scale: 6,
+    });
+  } catch (err) {
+    console.error("Failed to render skin:", err);
+    avatar = null;
+  }
+
+  if (avatar) {
+    ctx.drawImage(avatar, avatarCenterX - avatar.width / 2, 260 - avatar.height);
+  } else {
+    console.log("Skipping skin rendering due to error.");
+  }
+
+  return panelX;
+}
+
+// Function to generate a welcome image with a rendered avatar of the player
+// Options: theme, a key of WELCOME_THEMES
+export async function generateWelcomeImage(
+  minecraftName,
+  rank,
+  level,
+  guild,
+  uuid,
+  discordUsername,
+  { theme: themeKey = DEFAULT_WELCOME_THEME } = {},
+) {
+  const theme = getWelcomeTheme(themeKey);
+  const canvas = createCanvas(600, 300);
+  const ctx = canvas.getContext("2d");
+
+  const panelX = await drawCardBackdrop(ctx, canvas, theme, rank.name, uuid);
+
+  // Add a transparent background for the text
+  ctx.fillStyle = theme.colors.panel;
+  ctx.fillRect(panelX, 40, PANEL_WIDTH, 200);
+
+  const textX = panelX + PANEL_PADDING;
+  const textWidth = PANEL_WIDTH - PANEL_PADDING * 2;
+  const guildName = guild.tag ? `${guild.name} [${guild.tag}]` : guild.name;
+
+  // Draw the player's name in their rank colours, then one line per detail
+  const lines = [
+    [
+      ...getNameSegments(minecraftName, rank),
+      { text: " Joined", color: theme.colors.text },
+    ],
+    [
+      { text: "Guild: ", color: theme.colors.label },
+      { text: guildName, color: theme.colors.text },
+    ],
+    [{ text: `Level: ${level}`, color: theme.colors.level }],
+    [{ text: `Discord: ${discordUsername}`, color: theme.colors.discord }],
+  ];
+  lines.forEach((segments, index) => {
+    drawFittedLine(ctx, segments, textX, 80 + index * 40, textWidth, theme.font);
+  });
+
+  // Return the image as a buffer
+  return canvas.toBuffer();
+}
+
+// Columns in the stat card's grid of figures
+const STATS_COLUMNS = 3;
+
+// Function to generate a game stats card, styled like the welcome card
+// stats is { title, headline, figures: [{ label, value }] } (see gameStats.js)
+// Options: theme, a key of WELCOME_THEMES
+export async function generateStatsCard(
+  minecraftName,
+  rank,
+  uuid,
+  stats,
+  { theme: themeKey = DEFAULT_WELCOME_THEME } = {},
+) {
+  const theme = getWelcomeTheme(themeKey);
+  const canvas = createCanvas(600, 300);
+  const ctx = canvas.getContext("2d");
+
+  const panelX = await drawCardBackdrop(ctx, canvas, theme, rank.name, uuid);
+
+  // Add a transparent background for the text
+  ctx.fillStyle = theme.colors.panel;
+  ctx.fillRect(panelX, 20, PANEL_WIDTH, 260);
+
+  const textX = panelX + PANEL_PADDING;
+  const textWidth = PANEL_WIDTH - PANEL_PADDING * 2;
+
+  // Name in rank colours, then the game and its headline figure (stars, level...)
+  drawFittedLine(ctx, getNameSegments(minecraftName, rank), textX, 55, textWidth, theme.font);
+  drawFittedLine(
+    ctx,
+    [
+      { text: `${stats.title} `, color: theme.colors.label },
+      { text: stats.headline, color: theme.colors.level },
+    ],
+    textX,
+    88,
+    textWidth,
+    { ...theme.font, size: theme.font.size - 5 },
+  );
+
+  // Grid of figures: a small label above each value
+  const columnWidth = textWidth / STATS_COLUMNS;
+  stats.figures.forEach(({ label, value }, index) => {
+    const x = textX + (index % STATS_COLUMNS) * columnWidth;
+    const y = 125 + Math.floor(index / STATS_COLUMNS) * 52;
+
+    drawFittedLine(ctx, [{ text: label, color: theme.colors.label }], x, y, columnWidth - 8, {
+      ...theme.font,
+      size: 13,
+    });
+    drawFittedLine(ctx, [{ text: value, color: theme.colors.text }], x, y + 24, columnWidth - 8, {
+      ...theme.font,
+      size: 20,
+    });
+  });
+
+  // Return the image as a buffer
+  return canvas.toBuffer();
+}
+
+// Base size of the skin render; the size option scales it
+const SKIN_CANVAS_WIDTH = 400;
+const SKIN_CANVAS_HEIGHT = 600;
+
+// How far (in radians) arms and legs swing at the peak of a step
+const WALK_SWING = 0.5;
+
+// Function to draw one pose of the skin as a 3D avatar, with limbs swung by
+// walkCycle radians
+function drawSkinPose(ctx, skin, minecraftName, walkCycle) {
+  // Draw background
+  ctx.fillStyle = "#1a1a1a";
+  ctx.fillRect(0, 0, SKIN_CANVAS_WIDTH, SKIN_CANVAS_HEIGHT);
+
+  const centerX = SKIN_CANVAS_WIDTH / 2;
+  const feetY = SKIN_CANVAS_HEIGHT / 2 + 150;
+
+  // Draw shadow
+  ctx.fillStyle = "rgba(0, 0, 0, 0.3)";
+  ctx.beginPath();
+  ctx.ellipse(centerX, feetY, 80, 20, 0, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Draw the avatar standing on the shadow
+  drawAvatar(ctx, skin, { x: centerX, y: feetY, scale: 10, walkCycle });
+
+  // Add player name at the bottom
+  ctx.font = "20px Minecraft";
+  ctx.fillStyle = "#FFFFFF";
+  ctx.textAlign = "center";
+  ctx.fillText(minecraftName, centerX, feetY + 50);
+}
+
+// Function to generate a looping walking animation of a Minecraft skin as a GIF
+// Options: frames per loop, output width in px (height is 1.5x) and speed in fps
+export async function generateSkinAnimation(
+  minecraftName,
+  uuid,
+  { frames = 12, size = SKIN_CANVAS_WIDTH, speed = 10 } = {},
+) {
+  try {
+    // Load the skin texture (normalized to 64x64) and its arm model
+    const skin = await loadSkin(uuid);
+
+    const width = Math.round(size);
+    const height = Math.round(size * (SKIN_CANVAS_HEIGHT / SKIN_CANVAS_WIDTH));
+    const scale = width / SKIN_CANVAS_WIDTH;
+    const delayCentisecs = Math.max(2, Math.round(100 / speed));
+
+    // Render one full step cycle: the limbs swing forward, back and home again
+    const gifFrames = [];
+    for (let frame = 0; frame < frames; frame++) {
+      const canvas = createCanvas(width, height);
+      const ctx = canvas.getContext("2d");
+      ctx.scale(scale, scale);
+
+      const walkCycle = Math.sin((frame / frames) * Math.PI * 2) * WALK_SWING;
+      drawSkinPose(ctx, skin, minecraftName, walkCycle);
+
+      const { data } = ctx.getImageData(0, 0, width, height);
+      gifFrames.push(
+        new GifFrame(width, height, Buffer.from(data.buffer, data.byteOffset, data.byteLength), {
+          delayCentisecs,
+        }),
+      );
+    }
+
+    // GIF frames are limited to 256 colours
+    GifUtil.quantizeDekker(gifFrames, 256);
+
+    // Return the animation as a looping GIF buffer
+    const gif = await new GifCodec().encodeGif(gifFrames, { loops: 0 });
+    return gif.buffer;
+  } catch (error) {
+    console.error("Error generating skin animation:", error);
+    return null;
+  }
+}
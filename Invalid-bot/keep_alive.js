@@ -1,5 +0,0 @@
-var http = require('http');
-http.createServer(function (req, res) {
-  res.write("I'm alive");
-  res.end();
-}).listen(8080);
\ No newline at end of file
@@ -0,0 +1,117 @@
+// In-process metrics, exposed in the Prometheus text format by the HTTP server
+
+// Latency histogram buckets, in seconds
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Every metric by name: { type, help, series } where series maps a label key to
+// { labels, value } for counters or { labels, buckets, sum, count } for histograms
+const metrics = new Map();
+
+// Function to declare a metric
+function defineMetric(name, type, help) {
+  metrics.set(name, { type, help, series: new Map() });
+}
+
+defineMetric("bot_commands_total", "counter", "Commands run, by command and outcome");
+defineMetric(
+  "bot_verifications_total",
+  "counter",
+  "Verification attempts, by result and failure reason",
+);
+defineMetric(
+  "bot_upstream_requests_total",
+  "counter",
+  "Requests to upstream APIs, by service and outcome",
+);
+defineMetric(
+  "bot_upstream_request_duration_seconds",
+  "histogram",
+  "Upstream API request latency, by service",
+);
+
+// Function to get (or create) the series of a metric for a set of labels
+function getSeries(name, labels) {
+  const metric = metrics.get(name);
+  const key = JSON.stringify(labels);
+  let series = metric.series.get(key);
+  if (!series) {
+    series =
+      metric.type === "histogram"
+        ? { labels, buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 }
+        : { labels, value: 0 };
+    metric.series.set(key, series);
+  }
+  return series;
+}
+
+// Function to record a command run; outcome is "ok", "error" or "denied"
+export function recordCommand(command, outcome) {
+  getSeries("bot_commands_total", { command, outcome }).value++;
+}
+
+// Function to record a verification attempt; reason is null when it succeeded
+export function recordVerification(reason = null) {
+  getSeries("bot_verifications_total", {
+    result: reason ? "failed" : "succeeded",
+    reason: reason || "",
+  }).value++;
+}
+
+// Function to record an upstream API request; outcome is "ok" or the error name
+export function recordUpstreamRequest(service, durationMs, outcome) {
+  getSeries("bot_upstream_requests_total", { service, outcome }).value++;
+
+  const histogram = getSeries("bot_upstream_request_duration_seconds", { service });
+  const seconds = durationMs / 1000;
+  LATENCY_BUCKETS.forEach((bound, index) => {
+    if (seconds <= bound) histogram.buckets[index]++;
+  });
+  histogram.sum += seconds;
+  histogram.count++;
+}
+
+// Function to format a label set, e.g. {service="Hypixel"}
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return "";
+
+  const escape = (value) =>
+    String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+  return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(",")}}`;
+}
+
+// Function to render every metric in the Prometheus text format
+// `values` are read from elsewhere by the caller:
+// [{ name, help, value, type = "gauge", labels }]
+export function renderMetrics(values = []) {
+  const lines = [];
+
+  for (const { name, help, value, type = "gauge", labels = {} } of values) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    lines.push(`${name}${formatLabels(labels)} ${value}`);
+  }
+
+  for (const [name, metric] of metrics) {
+    lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+
+    for (const series of metric.series.values()) {
+      if (metric.type === "counter") {
+        lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+        continue;
+      }
+
+      LATENCY_BUCKETS.forEach((bound, index) => {
+        lines.push(
+          `${name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.buckets[index]}`,
+        );
+      });
+      lines.push(
+        `${name}_bucket${formatLabels({ ...series.labels, le: "+Inf" })} ${series.count}`,
+        `${name}_sum${formatLabels(series.labels)} ${series.sum}`,
+        `${name}_count${formatLabels(series.labels)} ${series.count}`,
+      );
+    }
+  }
+
+  return `${lines.join("\n")}\n`;
+}
@@ -0,0 +1,63 @@
+import { PermissionsBitField } from "discord.js";
+import { getConfiguredValue } from "./guildConfig.js";
+import { nicknameOptOuts } from "./storage.js";
+
+// Discord's nickname length limit
+const MAX_NICKNAME_LENGTH = 32;
+
+// Template values that turn nickname sync off
+const DISABLED_TEMPLATES = ["", "none", "off"];
+
+// Function to fill a nickname template such as "[{rank}] {name}" or "{name} [{tag}]"
+// Placeholders: {name}, {rank}, {tag}. Brackets left empty (no rank, no guild)
+// are dropped so a player without a rank gets "Name" rather than "[] Name"
+export function renderNickname(template, { name, rank, tag }) {
+  const values = {
+    name: name || "",
+    rank: rank && rank !== "Non-Rank" ? rank : "",
+    tag: tag || "",
+  };
+
+  return template
+    .replace(/\{(name|rank|tag)\}/g, (_, key) => values[key])
+    .replace(/\[\s*\]|\(\s*\)/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Function to set a member's nickname from the configured template
+// Returns { updated, reason } so callers can report why a member was skipped
+export async function applyNickname(member, details) {
+  const template = getConfiguredValue(member.guild, "nicknameTemplate");
+  if (DISABLED_TEMPLATES.includes(template.trim().toLowerCase())) {
+    return { updated: false, reason: "Nickname sync is disabled." };
+  }
+
+  if (nicknameOptOuts.has(member.id)) {
+    return { updated: false, reason: "Member opted out of nickname sync." };
+  }
+
+  const botMember = member.guild.members.me;
+  if (!botMember?.permissions.has(PermissionsBitField.Flags.ManageNicknames)) {
+    return { updated: false, reason: "The bot lacks Manage Nicknames." };
+  }
+
+  // Covers the server owner and anyone whose highest role is above the bot's
+  if (!member.manageable) {
+    return { updated: false, reason: "Member is above the bot in the role hierarchy." };
+  }
+
+  let nickname = renderNickname(template, details);
+  if (nickname.length > MAX_NICKNAME_LENGTH) nickname = details.name;
+  if (!nickname || member.nickname === nickname) {
+    return { updated: false, reason: "Nickname is already up to date." };
+  }
+
+  try {
+    await member.setNickname(nickname, "Nickname sync");
+    return { updated: true, reason: null };
+  } catch (error) {
+    console.error(`Failed to set nickname for ${member.user.tag}:`, error);
+    return { updated: false, reason: "Discord rejected the nickname change." };
+  }
+}
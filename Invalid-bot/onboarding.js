@@ -0,0 +1,137 @@
+import { logAuditEvent } from "./auditLog.js";
+import {
+  getConfiguredChannel,
+  getConfiguredNumber,
+  getConfiguredRole,
+  getConfiguredValue,
+} from "./guildConfig.js";
+import { checkPermission } from "./permissions.js";
+import { archiveLink, getServerLink } from "./storage.js";
+
+// How often members are checked for the unverified kick
+const KICK_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Function to fill the join message template
+// Placeholders: {user} (a mention), {server} and {channel} (the verify channel)
+function renderJoinMessage(member) {
+  const verifyChannel = getConfiguredChannel(member.guild, "verifyChannel");
+  return getConfiguredValue(member.guild, "joinMessage")
+    .replace(/\{user\}/g, `${member}`)
+    .replace(/\{server\}/g, member.guild.name)
+    .replace(/\{channel\}/g, verifyChannel ? `${verifyChannel}` : "the verify channel");
+}
+
+// Function to point a new member to the verify panel, by DM or a ping in the
+// verify channel. A DM that can't be delivered (closed DMs) falls back to the ping
+async function sendJoinMessage(member) {
+  const delivery = getConfiguredValue(member.guild, "joinMessageDelivery")
+    .trim()
+    .toLowerCase();
+  if (delivery !== "dm" && delivery !== "channel") return;
+
+  const content = renderJoinMessage(member);
+  if (delivery === "dm") {
+    const delivered = await member
+      .send({ content })
+      .then(() => true)
+      .catch(() => false);
+    if (delivered) return;
+  }
+
+  const verifyChannel = getConfiguredChannel(member.guild, "verifyChannel");
+  if (!verifyChannel) return;
+  await verifyChannel
+    .send({ content, allowedMentions: { users: [member.id] } })
+    .catch((error) => {
+      console.error(`Failed to send the join message for ${member.user.tag}:`, error);
+    });
+}
+
+// Function to onboard a member who joined: give them the Unverified role and
+// send the join message. Members already linked in this server are left alone
+export async function handleMemberJoin(member) {
+  if (member.user.bot || getServerLink(member.id, member.guild.id)) return;
+
+  const unverifiedRole = getConfiguredRole(member.guild, "unverifiedRole");
+  if (unverifiedRole) {
+    await member.roles
+      .add(unverifiedRole, "New member")
+      .catch((error) => {
+        console.error(`Failed to give ${member.user.tag} the Unverified role:`, error);
+      });
+  }
+
+  await sendJoinMessage(member);
+}
+
+// Function to clean up after a member who left: their link record is archived
+// so their Minecraft account can be linked again. Links made in another server
+// are kept
+export async function handleMemberLeave(member) {
+  const link = getServerLink(member.id, member.guild.id);
+  if (!link) return;
+
+  archiveLink(member.id, "Left the server");
+  await logAuditEvent(member.guild, {
+    type: "memberLeft",
+    userId: member.id,
+    minecraftName: link.minecraftName,
+    minecraftUuid: link.minecraftUuid,
+  });
+}
+
+// Function to kick members who have not verified within the configured number
+// of days. Staff and members with the Verified role are never kicked
+export async function kickUnverifiedMembers(guild) {
+  const days = getConfiguredNumber(guild, "unverifiedKickDays");
+  if (days <= 0) return [];
+
+  const members = await guild.members.fetch();
+  const verifiedRole = getConfiguredRole(guild, "verifiedRole");
+  const cutoff = Date.now() - days * DAY_MS;
+  const kicked = [];
+
+  for (const member of members.values()) {
+    if (member.user.bot || !member.kickable) continue;
+    if (!member.joinedTimestamp || member.joinedTimestamp > cutoff) continue;
+    if (getServerLink(member.id, member.guild.id)) continue;
+    if (verifiedRole && member.roles.cache.has(verifiedRole.id)) continue;
+    if (!checkPermission(member, "staff")) continue;
+
+    // Tell them why first; the DM can't be sent once they are gone
+    await member
+      .send(
+        `You were removed from **${guild.name}** because you didn't verify within ${days} days. You're welcome to rejoin and verify.`,
+      )
+      .catch(() => {});
+
+    try {
+      await member.kick(`Not verified within ${days} days`);
+      kicked.push(member);
+      await logAuditEvent(guild, {
+        type: "unverifiedKick",
+        userId: member.id,
+        days,
+      });
+    } catch (error) {
+      console.error(`Failed to kick ${member.user.tag}:`, error);
+    }
+  }
+
+  return kicked;
+}
+
+// Function to start the periodic unverified kick check for every guild
+export function startOnboarding(client) {
+  const checkAll = async () => {
+    for (const guild of client.guilds.cache.values()) {
+      await kickUnverifiedMembers(guild).catch((error) => {
+        console.error(`Unverified kick check failed for ${guild.name}:`, error);
+      });
+    }
+  };
+
+  checkAll();
+  setInterval(checkAll, KICK_CHECK_INTERVAL_MS);
+}
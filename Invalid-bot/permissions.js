@@ -0,0 +1,126 @@
+import { PermissionsBitField } from "discord.js";
+import { openDocument } from "./datastore.js";
+import { SETTINGS, getConfiguredRole } from "./guildConfig.js";
+
+// Permission levels, lowest first. Each level includes every level below it
+export const PERMISSION_LEVELS = ["member", "verified", "angel", "staff", "admin"];
+
+// The configured role each role-based level needs; members with that role or
+// any role above it in the server's role list have the level
+const LEVEL_ROLES = {
+  verified: "verifiedRole",
+  angel: "angelRole",
+  staff: "staffRole",
+};
+
+// How long permission denials stay visible before they are deleted
+const DENIAL_DELETE_AFTER_MS = 10_000;
+
+// Persistent per-server command level overrides:
+// { guilds: { [guildId]: { [commandName]: level } } }
+const document = openDocument("commandPermissions", {
+  defaults: { guilds: {} },
+});
+
+// Per-guild overrides, keyed by Discord guild ID
+const overrides = new Map(Object.entries(document.data.guilds));
+
+// Each command's own level, keyed by command name (filled in by the registry)
+const defaultLevels = new Map();
+
+// Function to save the overrides
+function saveOverrides() {
+  document.save({ guilds: Object.fromEntries(overrides) });
+}
+
+// Function to check whether a member is a server administrator
+export function isAdministrator(member) {
+  return member.permissions.has(PermissionsBitField.Flags.Administrator);
+}
+
+// Function to check a member against a permission level
+// Returns an error message when the member is denied, or null when allowed
+export function checkPermission(member, level) {
+  if (!level || level === "member") return null;
+  if (isAdministrator(member)) return null;
+  if (level === "admin") {
+    return "Only server administrators can do this.";
+  }
+
+  const roleKey = LEVEL_ROLES[level];
+  const requiredRole = getConfiguredRole(member.guild, roleKey);
+  if (!requiredRole) {
+    return `The ${SETTINGS[roleKey].label.toLowerCase()} is not configured and no '${SETTINGS[roleKey].defaultName}' role exists in this server.`;
+  }
+
+  const hasLevel = member.roles.cache.some(
+    (role) => role.position >= requiredRole.position,
+  );
+  return hasLevel
+    ? null
+    : `You need the ${requiredRole.name} role or higher to do this.`;
+}
+
+// Function to record every command's own level (called by the command registry)
+export function registerCommandLevels(commands) {
+  for (const command of commands) {
+    defaultLevels.set(command.data.name, command.permission || "member");
+  }
+}
+
+// Function to list every command with its default level, by name
+export function getDefaultCommandLevels() {
+  return new Map(defaultLevels);
+}
+
+// Function to get the level a command needs in a guild (override or default)
+export function getCommandLevel(guildId, commandName) {
+  return (
+    overrides.get(guildId)?.[commandName] ??
+    defaultLevels.get(commandName) ??
+    "member"
+  );
+}
+
+// Function to get a guild's command level overrides
+export function getCommandOverrides(guildId) {
+  return { ...(overrides.get(guildId) || {}) };
+}
+
+// Function to override the level a command needs in a guild
+export function setCommandLevel(guildId, commandName, level) {
+  if (!PERMISSION_LEVELS.includes(level)) {
+    throw new Error(`Unknown permission level: ${level}`);
+  }
+
+  overrides.set(guildId, { ...getCommandOverrides(guildId), [commandName]: level });
+  saveOverrides();
+}
+
+// Function to drop a command's override in a guild, back to its default level
+export function resetCommandLevel(guildId, commandName) {
+  const guildOverrides = getCommandOverrides(guildId);
+  delete guildOverrides[commandName];
+  overrides.set(guildId, guildOverrides);
+  saveOverrides();
+}
+
+// Function to tell a member they were denied, deleting the notice after a while
+// `target` is the interaction or message that was denied. Interactions get an
+// ephemeral reply; messages get a normal reply and the command message is removed
+export async function sendDenial(target, content) {
+  if (typeof target.isRepliable === "function") {
+    await target.reply({ content, flags: "Ephemeral" });
+    setTimeout(() => target.deleteReply().catch(() => {}), DENIAL_DELETE_AFTER_MS);
+    return;
+  }
+
+  const reply = await target.reply({
+    content,
+    allowedMentions: { repliedUser: false },
+  });
+  setTimeout(() => {
+    reply.delete().catch(() => {});
+    target.delete().catch(() => {});
+  }, DENIAL_DELETE_AFTER_MS);
+}
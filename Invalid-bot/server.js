@@ -0,0 +1,120 @@
+import { Status } from "discord.js";
+import express from "express";
+import { getCacheStats, getHypixelKeyStatus } from "./api.js";
+import { createDashboardRouter } from "./dashboard.js";
+import { renderMetrics } from "./metrics.js";
+import { verifiedUsers } from "./storage.js";
+
+// Port for the health, status and metrics endpoints
+const PORT = Number(process.env.PORT) || 3000;
+
+// Function to list what makes the bot unhealthy (empty when healthy)
+function getHealthProblems(client) {
+  const problems = [];
+  if (client.ws.status !== Status.Ready) {
+    problems.push(`Discord gateway is ${Status[client.ws.status] || "disconnected"}`);
+  }
+  if (getHypixelKeyStatus().valid === false) {
+    problems.push("Hypixel API key is missing or invalid");
+  }
+  return problems;
+}
+
+// Function to describe the bot's current state for /status
+function getStatus(client) {
+  const keyStatus = getHypixelKeyStatus();
+  const problems = getHealthProblems(client);
+
+  return {
+    healthy: problems.length === 0,
+    problems,
+    uptimeSeconds: Math.round(process.uptime()),
+    gateway: {
+      status: Status[client.ws.status],
+      pingMs: client.ws.ping >= 0 ? client.ws.ping : null,
+      guilds: client.guilds.cache.size,
+    },
+    hypixelKey: {
+      valid: keyStatus.valid,
+      checkedAt: keyStatus.checkedAt ? new Date(keyStatus.checkedAt).toISOString() : null,
+    },
+    verifiedUsers: verifiedUsers.size,
+    apiCache: getCacheStats(),
+  };
+}
+
+// Function to start the HTTP server with /healthz, /status, /metrics and the
+// token-protected staff dashboard under /dashboard
+export function startHttpServer(client) {
+  const app = express();
+
+  // 200 when healthy, 503 with the reasons otherwise
+  app.get("/healthz", (req, res) => {
+    const problems = getHealthProblems(client);
+    res
+      .status(problems.length ? 503 : 200)
+      .json({ status: problems.length ? "unhealthy" : "ok", problems });
+  });
+
+  app.get("/status", (req, res) => {
+    res.json(getStatus(client));
+  });
+
+  app.get("/metrics", (req, res) => {
+    const cacheStats = getCacheStats();
+    const keyValid = getHypixelKeyStatus().valid;
+
+    res.type("text/plain; version=0.0.4").send(
+      renderMetrics([
+        {
+          name: "bot_uptime_seconds",
+          help: "Seconds since the bot started",
+          value: process.uptime(),
+        },
+        {
+          name: "bot_gateway_up",
+          help: "Whether the Discord gateway is connected",
+          value: client.ws.status === Status.Ready ? 1 : 0,
+        },
+        {
+          name: "bot_gateway_ping_milliseconds",
+          help: "Discord gateway heartbeat latency",
+          value: Math.max(client.ws.ping, 0),
+        },
+        {
+          name: "bot_hypixel_key_valid",
+          help: "Whether the Hypixel API key was last accepted (-1 if not checked yet)",
+          value: keyValid === null ? -1 : Number(keyValid),
+        },
+        {
+          name: "bot_verified_users",
+          help: "Linked Discord accounts",
+          value: verifiedUsers.size,
+        },
+        {
+          name: "bot_api_cache_entries",
+          help: "Cached API responses",
+          value: cacheStats.size,
+        },
+        {
+          name: "bot_api_cache_hits_total",
+          help: "API cache hits",
+          value: cacheStats.hits,
+          type: "counter",
+        },
+        {
+          name: "bot_api_cache_misses_total",
+          help: "API cache misses",
+          value: cacheStats.misses,
+          type: "counter",
+        },
+      ]),
+    );
+  });
+
+  app.use("/dashboard", createDashboardRouter(client));
+
+  return app.listen(PORT, () => {
+    console.log(`HTTP server listening on port ${PORT}`);
+  });
+}
@@ -0,0 +1,121 @@
+import { createCanvas, loadImage } from "canvas";
+import { getSessionProfile } from "./api.js";
+
+// Skin layout on a 64x64 texture: each part is a cuboid of [width, height, depth]
+// skin pixels, unwrapped from the UV origin of its base and overlay layer.
+// "right" and "left" are the player's own sides
+export const SKIN_PARTS = {
+  head: { size: [8, 8, 8], base: [0, 0], overlay: [32, 0] },
+  body: { size: [8, 12, 4], base: [16, 16], overlay: [16, 32] },
+  rightArm: { size: [4, 12, 4], base: [40, 16], overlay: [40, 32] },
+  leftArm: { size: [4, 12, 4], base: [32, 48], overlay: [48, 48] },
+  rightLeg: { size: [4, 12, 4], base: [0, 16], overlay: [0, 32] },
+  leftLeg: { size: [4, 12, 4], base: [16, 48], overlay: [0, 48] },
+};
+
+// Function to get a part's cuboid size; slim ("Alex") skins have 3px-wide arms
+export function getPartSize(part, slim = false) {
+  const [width, height, depth] = SKIN_PARTS[part].size;
+  const isArm = part === "rightArm" || part === "leftArm";
+  return [isArm && slim ? 3 : width, height, depth];
+}
+
+// Function to get the texture rectangle of one face of a part
+// Faces follow Minecraft's cuboid unwrap: top and bottom along the top row,
+// then right, front, left and back side by side below them
+export function getFaceRect(part, face, layer = "base", slim = false) {
+  const [u, v] = SKIN_PARTS[part][layer];
+  const [width, height, depth] = getPartSize(part, slim);
+
+  const faces = {
+    top: [u + depth, v, width, depth],
+    bottom: [u + depth + width, v, width, depth],
+    right: [u, v + depth, depth, height],
+    front: [u + depth, v + depth, width, height],
+    left: [u + depth + width, v + depth, depth, height],
+    back: [u + depth + width + depth, v + depth, width, height],
+  };
+
+  const [x, y, w, h] = faces[face];
+  return { x, y, width: w, height: h };
+}
+
+// Function to copy a texture rectangle, flipped horizontally
+function copyMirrored(ctx, source, from, to) {
+  ctx.save();
+  ctx.translate(to.x + to.width, to.y);
+  ctx.scale(-1, 1);
+  ctx.drawImage(source, from.x, from.y, from.width, from.height, 0, 0, to.width, to.height);
+  ctx.restore();
+}
+
+// Function to build a left limb from the right one, the way Minecraft does for
+// legacy skins: every face is mirrored, and the two side faces swap places
+function mirrorLimb(ctx, source, fromPart, toPart) {
+  const swappedFaces = { right: "left", left: "right" };
+
+  for (const face of ["top", "bottom", "right", "front", "left", "back"]) {
+    copyMirrored(
+      ctx,
+      source,
+      getFaceRect(fromPart, face),
+      getFaceRect(toPart, swappedFaces[face] || face),
+    );
+  }
+}
+
+// Function to convert any skin texture to the 64x64 layout
+// Legacy 64x32 skins have no left limbs or body/limb overlays, so the left arm
+// and leg are mirrored from the right ones
+export function normalizeSkin(image) {
+  const canvas = createCanvas(64, 64);
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(image, 0, 0);
+
+  if (image.height === 32) {
+    mirrorLimb(ctx, canvas, "rightArm", "leftArm");
+    mirrorLimb(ctx, canvas, "rightLeg", "leftLeg");
+  }
+
+  return canvas;
+}
+
+// Default skins bundled with the bot, for players who never set their own
+const DEFAULT_SKINS = {
+  steve: { file: "./Steve.png", slim: false },
+  alex: { file: "./Alex.png", slim: true },
+};
+
+// Function to pick the default skin Minecraft shows for a UUID: the low bits of
+// the UUID's four 32-bit words are XORed, and an odd result means Alex
+export function getDefaultSkin(uuid) {
+  const hex = uuid.replace(/-/g, "");
+  const parity = [7, 15, 23, 31].reduce(
+    (bits, index) => bits ^ (parseInt(hex[index], 16) & 1),
+    0,
+  );
+  return parity ? DEFAULT_SKINS.alex : DEFAULT_SKINS.steve;
+}
+
+// Function to load a player's skin as { texture, slim }, with the texture
+// normalized to 64x64. Players on a default skin (or whose skin can't be
+// downloaded) get the bundled Steve or Alex texture
+export async function loadSkin(uuid) {
+  const profile = await getSessionProfile(uuid).catch((error) => {
+    console.error("Failed to fetch skin profile:", error.message);
+    return null;
+  });
+
+  if (profile?.skinUrl) {
+    const image = await loadImage(profile.skinUrl).catch((error) => {
+      console.error("Failed to download skin:", error.message);
+      return null;
+    });
+    if (image) return { texture: normalizeSkin(image), slim: profile.slim };
+  }
+
+  const defaultSkin = getDefaultSkin(uuid);
+  const image = await loadImage(defaultSkin.file);
+  return { texture: normalizeSkin(image), slim: defaultSkin.slim };
+}
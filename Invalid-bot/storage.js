@@ -0,0 +1,194 @@
+import { openDocument } from "./datastore.js";
+
+// Verified users map each Discord ID to its link record:
+// { discordId, minecraftUuid, minecraftName, verifiedAt, guildId, hypixelGuild,
+//   rank, guildTag } (rank and guildTag feed the synced nickname)
+export let verifiedUsers = new Map();
+export let cooldowns = new Map();
+
+// Discord IDs of admins who opted out of nickname sync
+export let nicknameOptOuts = new Set();
+
+// Link records of members who left, newest last: the link record plus
+// { archivedAt, archiveReason }. Archived accounts can be linked again
+export let archivedLinks = [];
+
+// Function to turn a stored verified user entry into a link record
+// Older files stored a bare Discord ID, so those become records without an account
+function toLinkRecord(entry) {
+  if (typeof entry === "string") {
+    return {
+      discordId: entry,
+      minecraftUuid: null,
+      minecraftName: null,
+      verifiedAt: null,
+      guildId: null,
+      hypixelGuild: null,
+      rank: null,
+      guildTag: null,
+    };
+  }
+  return entry;
+}
+
+// Persistent storage for verified users, cooldowns, nickname opt-outs and
+// archived links. Schema 1 wraps the pre-versioning file and turns bare Discord
+// IDs into link records; schema 2 adds the archive
+const document = openDocument("verifiedUsers", {
+  defaults: {
+    verifiedUsers: [],
+    cooldowns: [],
+    nicknameOptOuts: [],
+    archivedLinks: [],
+  },
+  migrations: [
+    (data) => ({
+      verifiedUsers: (data.verifiedUsers || []).map(toLinkRecord),
+      cooldowns: data.cooldowns || [],
+      nicknameOptOuts: data.nicknameOptOuts || [],
+    }),
+    (data) => ({ ...data, archivedLinks: [] }),
+  ],
+});
+
+// Function to load data from storage
+function loadStorage() {
+  verifiedUsers = new Map(
+    document.data.verifiedUsers.map((record) => [record.discordId, record]),
+  );
+
+  // Drop cooldowns that expired while the bot was offline
+  const now = Date.now();
+  cooldowns = new Map(
+    document.data.cooldowns.filter(([, expiresAt]) => expiresAt > now),
+  );
+  nicknameOptOuts = new Set(document.data.nicknameOptOuts);
+  archivedLinks = document.data.archivedLinks;
+}
+
+// Function to save data to storage
+export function saveStorage() {
+  document.save({
+    verifiedUsers: Array.from(verifiedUsers.values()),
+    cooldowns: Array.from(cooldowns),
+    nicknameOptOuts: Array.from(nicknameOptOuts),
+    archivedLinks,
+  });
+}
+
+// Load storage when the bot starts
+loadStorage();
+
+// Function to get the link record for a Discord user (null if not verified)
+export function getLink(discordId) {
+  return verifiedUsers.get(discordId) || null;
+}
+
+// Function to check whether a link record belongs to a server. Links are stored
+// per Discord account but record the server they were made in; links saved
+// before that was recorded count in every server
+export function isLinkedInGuild(record, guildId) {
+  return !record.guildId || record.guildId === guildId;
+}
+
+// Function to get a user's link record if it was made in a server (null if not)
+export function getServerLink(discordId, guildId) {
+  const record = getLink(discordId);
+  return record && isLinkedInGuild(record, guildId) ? record : null;
+}
+
+// Function to find the link record for a Minecraft UUID (null if not linked)
+export function findLinkByUuid(minecraftUuid) {
+  for (const record of verifiedUsers.values()) {
+    if (record.minecraftUuid === minecraftUuid) return record;
+  }
+  return null;
+}
+
+// Function to find the newest archived link record for a Minecraft UUID
+// (null if the account was never archived)
+export function findArchivedLinkByUuid(minecraftUuid) {
+  for (let index = archivedLinks.length - 1; index >= 0; index--) {
+    if (archivedLinks[index].minecraftUuid === minecraftUuid) {
+      return archivedLinks[index];
+    }
+  }
+  return null;
+}
+
+// Function to find the link record by last known Minecraft name (case-insensitive)
+export function findLinkByName(minecraftName) {
+  const name = minecraftName.toLowerCase();
+  for (const record of verifiedUsers.values()) {
+    if (record.minecraftName?.toLowerCase() === name) return record;
+  }
+  return null;
+}
+
+// Function to store a link record for a verified user
+export function saveLink(record) {
+  verifiedUsers.set(record.discordId, record);
+  saveStorage();
+}
+
+// Function to remove a user's link record
+export function removeLink(discordId) {
+  verifiedUsers.delete(discordId);
+  saveStorage();
+}
+
+// Function to move a user's link record to the archive, freeing their
+// Minecraft account to be linked again. Returns the archived record (null if none)
+export function archiveLink(discordId, reason) {
+  const record = verifiedUsers.get(discordId);
+  if (!record) return null;
+
+  const archived = { ...record, archivedAt: Date.now(), archiveReason: reason };
+  archivedLinks.push(archived);
+  verifiedUsers.delete(discordId);
+  saveStorage();
+  return archived;
+}
+
+// How long members must wait between verifying and unverifying (non-admins)
+export const VERIFICATION_COOLDOWN_MS = 6 * 60 * 60 * 1000;
+
+// Function to get the active cooldown expiry for a user (null if none)
+export function getCooldown(userId) {
+  const expiresAt = cooldowns.get(userId);
+  if (!expiresAt) return null;
+
+  if (expiresAt <= Date.now()) {
+    cooldowns.delete(userId);
+    saveStorage();
+    return null;
+  }
+
+  return expiresAt;
+}
+
+// Function to start a verification cooldown for a user
+export function startCooldown(userId, duration = VERIFICATION_COOLDOWN_MS) {
+  const expiresAt = Date.now() + duration;
+  cooldowns.set(userId, expiresAt);
+  saveStorage();
+  return expiresAt;
+}
+
+// Function to clear a user's cooldown; returns whether one was active
+export function clearCooldown(userId) {
+  const hadCooldown = getCooldown(userId) !== null;
+  cooldowns.delete(userId);
+  saveStorage();
+  return hadCooldown;
+}
+
+// Function to opt a user in or out of nickname sync
+export function setNicknameOptOut(discordId, optedOut) {
+  if (optedOut) {
+    nicknameOptOuts.add(discordId);
+  } else {
+    nicknameOptOuts.delete(discordId);
+  }
+  saveStorage();
+}
@@ -0,0 +1,220 @@
+import { EmbedBuilder } from "discord.js";
+import { getConfiguredChannel, getConfiguredValue } from "./guildConfig.js";
+import { applyGuildRoles, findHypixelGuildMember } from "./guildRoles.js";
+import {
+  describeApiError,
+  getHypixelGuildByName,
+  getUsernameFromUUID,
+} from "./api.js";
+import { applyNickname } from "./nicknames.js";
+import { isLinkedInGuild, saveLink, verifiedUsers } from "./storage.js";
+
+// How often the background sync runs (defaults to every hour)
+const SYNC_INTERVAL_MS =
+  (Number(process.env.GUILD_SYNC_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+// Guilds with a sync in progress, so runs never overlap
+const runningSyncs = new Set();
+
+// How many finished sync runs are remembered for the dashboard
+const MAX_RECENT_SYNCS = 50;
+
+// Summaries of the latest sync runs, newest first (kept in memory; the role
+// changes themselves are in the audit log):
+// { guildId, guildName, at, hypixelGuild, checked, changes, failures, renames, error }
+export const recentSyncs = [];
+
+// Function to remember a finished sync run
+function recordSyncRun(guild, result) {
+  recentSyncs.unshift({
+    guildId: guild.id,
+    guildName: guild.name,
+    at: Date.now(),
+    hypixelGuild: result.hypixelGuild,
+    checked: result.checked,
+    changes: result.changes.length,
+    failures: result.failures.length,
+    renames: result.renames.length,
+    error: result.error,
+  });
+  recentSyncs.splice(MAX_RECENT_SYNCS);
+}
+
+// Function to fetch every member of a Discord guild, falling back to the cache
+async function fetchMembers(guild) {
+  try {
+    return await guild.members.fetch();
+  } catch (error) {
+    console.error(`Failed to fetch members of ${guild.name}:`, error);
+    return guild.members.cache;
+  }
+}
+
+// Function to re-check every linked member against the linked Hypixel guild,
+// update their Angel and rank roles to match and pick up Minecraft name changes.
+// The roster is fetched once per run; if it can't be fetched nothing is changed,
+// so an API outage never strips roles
+export async function syncGuildRoles(guild) {
+  const hypixelGuildName = getConfiguredValue(guild, "hypixelGuild");
+  const result = {
+    hypixelGuild: hypixelGuildName,
+    checked: 0,
+    changes: [],
+    failures: [],
+    renames: [],
+    error: null,
+  };
+
+  if (runningSyncs.has(guild.id)) {
+    result.error = "A sync is already running for this server.";
+    return result;
+  }
+  runningSyncs.add(guild.id);
+
+  try {
+    let hypixelGuild;
+    try {
+      hypixelGuild = await getHypixelGuildByName(hypixelGuildName);
+    } catch (error) {
+      result.error = describeApiError(
+        error,
+        `The Hypixel guild "${hypixelGuildName}" does not exist.`,
+      );
+      return result;
+    }
+
+    const members = await fetchMembers(guild);
+
+    for (const record of verifiedUsers.values()) {
+      // Links recorded before Minecraft UUIDs were stored can't be checked,
+      // and links made in another server are that server's to sync
+      if (!record.minecraftUuid || !isLinkedInGuild(record, guild.id)) continue;
+
+      const member = members.get(record.discordId);
+      if (!member) continue;
+
+      result.checked++;
+      const hypixelMember = findHypixelGuildMember(
+        hypixelGuild,
+        record.minecraftUuid,
+      );
+      const { changes, failures } = await applyGuildRoles(
+        member,
+        hypixelMember,
+        "Hypixel guild sync",
+      );
+
+      // Pick up Minecraft name changes and refresh the nickname to match
+      const currentName = await getUsernameFromUUID(record.minecraftUuid).catch(
+        () => null,
+      );
+      if (currentName && currentName !== record.minecraftName) {
+        let guildTag = record.guildTag;
+        if (hypixelMember) guildTag = hypixelGuild.tag || null;
+        else if (guildTag === hypixelGuild.tag) guildTag = null;
+
+        saveLink({ ...record, minecraftName: currentName, guildTag });
+        await applyNickname(member, {
+          name: currentName,
+          rank: record.rank,
+          tag: guildTag,
+        });
+        result.renames.push({
+          memberId: member.id,
+          from: record.minecraftName,
+          to: currentName,
+        });
+      }
+
+      const describe = (change) => ({
+        ...change,
+        memberId: member.id,
+        minecraftName: record.minecraftName,
+      });
+      result.changes.push(...changes.map(describe));
+      result.failures.push(...failures.map(describe));
+    }
+
+    return result;
+  } finally {
+    runningSyncs.delete(guild.id);
+    recordSyncRun(guild, result);
+  }
+}
+
+// Function to build an embed summarizing a sync run
+export function buildSyncSummaryEmbed(result) {
+  const describe = (change) =>
+    `<@${change.memberId}> (${change.minecraftName}) ${change.action === "added" ? "+" : "-"} ${change.role}`;
+
+  const embed = new EmbedBuilder()
+    .setTitle("🔄 Hypixel Guild Sync")
+    .setTimestamp();
+
+  if (result.error) {
+    return embed.setColor("#FF0000").setDescription(`❌ ${result.error}`);
+  }
+
+  embed
+    .setColor(result.failures.length ? "#FFFF00" : "#00FF00")
+    .setDescription(
+      `Checked ${result.checked} linked members against **${result.hypixelGuild}**.`,
+    )
+    .addFields({
+      name: `Changes (${result.changes.length})`,
+      value: result.changes.map(describe).join("\n").slice(0, 1024) || "None",
+    });
+
+  if (result.renames.length) {
+    embed.addFields({
+      name: `Name Changes (${result.renames.length})`,
+      value: result.renames
+        .map((rename) => `<@${rename.memberId}> ${rename.from} → ${rename.to}`)
+        .join("\n")
+        .slice(0, 1024),
+    });
+  }
+
+  if (result.failures.length) {
+    embed.addFields({
+      name: `Failed (${result.failures.length})`,
+      value: result.failures.map(describe).join("\n").slice(0, 1024),
+    });
+  }
+
+  return embed;
+}
+
+// Function to post a sync summary to the staff channel (only when something happened)
+export async function postSyncSummary(guild, result) {
+  const hasUpdates =
+    result.changes.length || result.failures.length || result.renames.length;
+  if (!result.error && !hasUpdates) {
+    return;
+  }
+
+  const staffChannel = getConfiguredChannel(guild, "staffChannel");
+  if (!staffChannel) return;
+
+  await staffChannel
+    .send({
+      embeds: [buildSyncSummaryEmbed(result)],
+      allowedMentions: { parse: [] },
+    })
+    .catch((error) => {
+      console.error("Failed to post sync summary:", error);
+    });
+}
+
+// Function to start the periodic sync for every guild the bot is in
+export function startGuildSync(client) {
+  setInterval(async () => {
+    for (const guild of client.guilds.cache.values()) {
+      await syncGuildRoles(guild)
+        .then((result) => postSyncSummary(guild, result))
+        .catch((error) => {
+          console.error(`Guild sync failed for ${guild.name}:`, error);
+        });
+    }
+  }, SYNC_INTERVAL_MS);
+}
@@ -0,0 +1,163 @@
+import { AttachmentBuilder } from "discord.js";
+import { logAuditEvent } from "./auditLog.js";
+import {
+  getConfiguredChannel,
+  getConfiguredRole,
+  getConfiguredValue,
+} from "./guildConfig.js";
+import { applyGuildRoles, findHypixelGuildMember } from "./guildRoles.js";
+import { calculateHypixelLevel, formatHypixelRank } from "./hypixel.js";
+import { generateWelcomeImage } from "./images.js";
+import { applyNickname } from "./nicknames.js";
+import { getLink, removeLink, saveLink } from "./storage.js";
+
+// Roles taken away when a member is unverified
+const VERIFIED_ROLE_KEYS = [
+  "verifiedRole",
+  "angelRole",
+  "angelLordRole",
+  "angelKingRole",
+];
+
+// Function to add or remove a configured role, logging failures
+async function updateRole(member, roleKey, add, reason) {
+  const role = getConfiguredRole(member.guild, roleKey);
+  if (!role || member.roles.cache.has(role.id) === add) return;
+
+  const update = add
+    ? member.roles.add(role, reason)
+    : member.roles.remove(role, reason);
+  await update.catch(console.error);
+}
+
+// Function to post the welcome card for a newly verified member
+async function postWelcome(member, { minecraftName, uuid, playerData, guildData }) {
+  const welcomeChannel = getConfiguredChannel(member.guild, "welcomeChannel");
+  if (!welcomeChannel) return;
+
+  // Generate the welcome image with a 3D render of their skin
+  const imageBuffer = await generateWelcomeImage(
+    minecraftName,
+    formatHypixelRank(playerData),
+    calculateHypixelLevel(playerData.networkExp || 0),
+    { name: guildData?.name || "No Guild", tag: guildData?.tag || "" },
+    uuid,
+    member.user.tag,
+    { theme: getConfiguredValue(member.guild, "welcomeTheme") },
+  );
+
+  await welcomeChannel.send({
+    content: `Welcome, **${minecraftName}**!`,
+    files: [new AttachmentBuilder(imageBuffer, { name: "welcome.png" })],
+  });
+}
+
+// Function to verify a member as a Minecraft account: swap the Unverified role
+// for Verified, sync the Angel and rank roles and nickname, and save the link.
+// Used by the verify button and the staff commands so their outcomes match.
+// `playerData` and `guildData` are the Hypixel lookups; pass `undefined` when
+// a lookup failed, so guild roles are left alone rather than stripped.
+// Options: `welcome` posts the welcome card, `actorId` is the staff member who
+// did it (null for the member themselves), `auditType` the audit event type and
+// `reason` what Discord's own audit log shows for the role changes
+export async function applyVerification(
+  member,
+  { minecraftName, uuid, playerData, guildData },
+  {
+    welcome = false,
+    actorId = null,
+    auditType = "verify",
+    reason = "Verification",
+  } = {},
+) {
+  if (welcome && playerData) {
+    await postWelcome(member, { minecraftName, uuid, playerData, guildData }).catch(
+      (error) => console.error("Failed to post welcome message:", error),
+    );
+  }
+
+  await updateRole(member, "verifiedRole", true, reason);
+  await updateRole(member, "unverifiedRole", false, reason);
+
+  // Assign the Angel and rank roles if the player is in the linked Hypixel guild
+  if (guildData !== undefined) {
+    const inLinkedGuild =
+      guildData?.name === getConfiguredValue(member.guild, "hypixelGuild");
+    await applyGuildRoles(
+      member,
+      inLinkedGuild ? findHypixelGuildMember(guildData, uuid) : null,
+      reason,
+    );
+  }
+
+  // Without fresh Hypixel data, keep what was known from an earlier link
+  const previous = getLink(member.id);
+  const rank = playerData
+    ? formatHypixelRank(playerData).name
+    : previous?.rank || null;
+  const hasGuildData = guildData !== undefined;
+  const hypixelGuild = hasGuildData
+    ? guildData?.name || null
+    : previous?.hypixelGuild || null;
+  const guildTag = hasGuildData
+    ? guildData?.tag || null
+    : previous?.guildTag || null;
+
+  await applyNickname(member, { name: minecraftName, rank, tag: guildTag });
+
+  // Mark the user as verified and record the linked Minecraft account
+  const record = {
+    discordId: member.id,
+    minecraftUuid: uuid,
+    minecraftName,
+    verifiedAt:
+      auditType === "reverify" && previous?.verifiedAt
+        ? previous.verifiedAt
+        : Date.now(),
+    guildId: member.guild.id,
+    hypixelGuild,
+    rank,
+    guildTag,
+  };
+  saveLink(record);
+
+  await logAuditEvent(member.guild, {
+    type: auditType,
+    userId: member.id,
+    actorId,
+    minecraftName,
+    minecraftUuid: uuid,
+    hypixelGuild,
+    rank,
+  });
+
+  return record;
+}
+
+// Function to unverify a member: forget their link, take away the Verified,
+// Angel and rank roles and give them the Unverified role.
+// Returns the link record that was removed (null if they had none)
+export async function revokeVerification(
+  member,
+  { actorId = null, reason = null } = {},
+) {
+  const link = getLink(member.id);
+  removeLink(member.id);
+
+  const auditReason = reason ? `Unverified: ${reason}` : "Unverified";
+  for (const roleKey of VERIFIED_ROLE_KEYS) {
+    await updateRole(member, roleKey, false, auditReason);
+  }
+  await updateRole(member, "unverifiedRole", true, auditReason);
+
+  await logAuditEvent(member.guild, {
+    type: "unverify",
+    userId: member.id,
+    actorId: actorId || member.id,
+    minecraftName: link?.minecraftName || null,
+    minecraftUuid: link?.minecraftUuid || null,
+    reason,
+  });
+
+  return link;
+}
@@ -0,0 +1,96 @@
+// Background images bundled with the bot
+export const BACKGROUNDS = [
+  "Background1.png",
+  "Background2.png",
+  "Background3.png",
+  "Background4.png",
+  "Background5.png",
+];
+
+// Backgrounds used by themes with background "rank", keyed by rank name
+const RANK_BACKGROUNDS = {
+  "MVP++": "Background5.png",
+  "MVP+": "Background4.png",
+  MVP: "Background3.png",
+  "VIP+": "Background2.png",
+  VIP: "Background2.png",
+};
+
+// Welcome card themes
+// background: "random", "rank" (picked by the player's rank) or a file from BACKGROUNDS
+// layout: which side the avatar stands on, and the text panel opposite it
+// font: font family and the size each line starts at before shrinking to fit
+// colors: text panel and text colours; the name line always uses rank colours
+export const WELCOME_THEMES = {
+  classic: {
+    label: "Classic",
+    background: "Background1.png",
+    layout: { avatar: "right" },
+    font: { family: "Minecraft", size: 25 },
+    colors: {
+      panel: "rgba(0, 0, 0, 0.6)",
+      text: "#99bcf7",
+      label: "#99bcf7",
+      level: "#f4f000",
+      discord: "#0f3684",
+    },
+  },
+  heavenly: {
+    label: "Heavenly",
+    background: "random",
+    layout: { avatar: "right" },
+    font: { family: "Minecraft", size: 25 },
+    colors: {
+      panel: "rgba(255, 255, 255, 0.15)",
+      text: "#FFFFFF",
+      label: "#FFE9A8",
+      level: "#FFD75E",
+      discord: "#B9C8FF",
+    },
+  },
+  ranked: {
+    label: "Ranked",
+    background: "rank",
+    layout: { avatar: "left" },
+    font: { family: "Minecraft", size: 25 },
+    colors: {
+      panel: "rgba(0, 0, 0, 0.7)",
+      text: "#FFFFFF",
+      label: "#AAAAAA",
+      level: "#FFFF55",
+      discord: "#5865F2",
+    },
+  },
+  clean: {
+    label: "Clean",
+    background: "Background3.png",
+    layout: { avatar: "left" },
+    font: { family: "sans-serif", size: 24 },
+    colors: {
+      panel: "rgba(20, 20, 30, 0.75)",
+      text: "#F2F3F5",
+      label: "#949BA4",
+      level: "#F0B232",
+      discord: "#A5B4FC",
+    },
+  },
+};
+
+// Theme used until a server picks one
+export const DEFAULT_WELCOME_THEME = "classic";
+
+// Function to get a theme by key, falling back to the default for unknown keys
+export function getWelcomeTheme(key) {
+  return WELCOME_THEMES[key] || WELCOME_THEMES[DEFAULT_WELCOME_THEME];
+}
+
+// Function to pick the background file for a theme and rank name
+export function pickBackground(theme, rankName) {
+  if (theme.background === "random") {
+    return BACKGROUNDS[Math.floor(Math.random() * BACKGROUNDS.length)];
+  }
+  if (theme.background === "rank") {
+    return RANK_BACKGROUNDS[rankName] || BACKGROUNDS[0];
+  }
+  return theme.background;
+}